@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+'use strict';
+
+/*
+ * Command line tool for solving puzzles.
+ *
+ * Usage: npuzzle solve <board> [options]
+ *        npuzzle solve --file <file> [options]
+ *        npuzzle benchmark <problem file> [options]
+ *
+ * The board is given as the tile numbers separated by commas or white space,
+ * row by row, "0" for the empty cell: npuzzle solve "1,2,3,4,0,5,7,8,6"
+ * The board is square unless the width and height are given with --size:
+ * npuzzle solve "1,2,0,3,4,5" --size 3x2
+ * Grid text, JSON and "3x3:1,2,3,4,0,5,7,8,6" (as in the shared URLs of the
+ * page) are read too, see PositionFormat.
+ *
+ * The benchmark solves every position of the problem file, one per line as
+ * "3x3:1,2,3,4,0,5,7,8,6 <shortest solution length>", and reports the
+ * results with summary statistics as text, JSON or CSV. See problems/3x3.txt.
+ * Exits with 2 if a position is not solved or its solution length is not the
+ * recorded one.
+ */
+const fs = require("fs");
+const { Board, Goal, Solver, MoveNotation, PositionFormat } = require("../npuzzlecore.js");
+
+const usage = [
+  "Usage: npuzzle solve <board> [options]",
+  "       npuzzle solve --file <file> [options]",
+  "       npuzzle benchmark <problem file> [options]",
+  "",
+  "Options:",
+  "  --algorithm <name>   astar (default), idastar, greedy, bfs, bibfs",
+  "                       (bidirectional breadth-first) or mm (bidirectional)",
+  "  --heuristic <name>   manhattan (default), linearconflict, walkingdistance,",
+  "                       pdb663 or pdb78",
+  "  --size <w>x<h>       width and height of the board, square by default",
+  "  --goal <name>        solved state: blankfirst (default), blanklast or spiral",
+  "  --max-checks <n>     give up after checking n boards",
+  "  --time-limit <ms>    give up after the given milliseconds",
+  "                       (the limits are per position when benchmarking)",
+  "  --json               print the result as JSON",
+  "  --csv                print the benchmark results as CSV",
+  "  --help               show this help"
+].join("\n");
+
+/*
+ * Parse the command line arguments to an options object. Throws an error if
+ * the arguments are not valid.
+ */
+function parseArguments(theArguments) {
+  let options = {
+    command: null,
+    board: null,
+    file: null,
+    algorithm: "astar",
+    heuristic: "manhattan",
+    width: 0,
+    height: 0,
+    goal: "blankfirst",
+    maxChecks: Infinity,
+    timeLimit: Infinity,
+    json: false,
+    csv: false,
+    help: false
+  };
+
+  for (let i = 0; i < theArguments.length; i++) {
+    let argument = theArguments[i];
+
+    if (argument == "--help" || argument == "-h") {
+      options.help = true;
+    } else if (argument == "--json") {
+      options.json = true;
+    } else if (argument == "--csv") {
+      options.csv = true;
+    } else if (argument == "--algorithm" || argument == "--heuristic" || argument == "--file" ||
+        argument == "--size" || argument == "--goal" || argument == "--max-checks" || argument == "--time-limit") {
+      if (i + 1 >= theArguments.length) {
+        throw new Error("Missing value for " + argument);
+      }
+      let value = theArguments[++i];
+      if (argument == "--algorithm") {
+        options.algorithm = value;
+      } else if (argument == "--heuristic") {
+        options.heuristic = value;
+      } else if (argument == "--file") {
+        options.file = value;
+      } else if (argument == "--goal") {
+        options.goal = value;
+      } else if (argument == "--size") {
+        let size = /^(\d+)x(\d+)$/.exec(value);
+        if (size === null || size[1] < 2 || size[2] < 2) {
+          throw new Error("Invalid --size: " + value);
+        }
+        options.width = parseInt(size[1], 10);
+        options.height = parseInt(size[2], 10);
+      } else if (argument == "--max-checks") {
+        options.maxChecks = parseInt(value, 10);
+        if (isNaN(options.maxChecks) || options.maxChecks < 1) {
+          throw new Error("Invalid --max-checks: " + value);
+        }
+      } else {
+        options.timeLimit = parseInt(value, 10);
+        if (isNaN(options.timeLimit) || options.timeLimit < 1) {
+          throw new Error("Invalid --time-limit: " + value);
+        }
+      }
+    } else if (argument.startsWith("--")) {
+      throw new Error("Unknown option: " + argument);
+    } else if (options.command === null) {
+      options.command = argument;
+    } else if (options.board === null) {
+      options.board = argument;
+    } else {
+      throw new Error("Unexpected argument: " + argument);
+    }
+  }
+
+  if (["astar", "idastar", "greedy", "bfs", "bibfs", "mm"].indexOf(options.algorithm) == -1) {
+    throw new Error("Unknown algorithm: " + options.algorithm);
+  }
+  if (Goal.names().indexOf(options.goal) == -1) {
+    throw new Error("Unknown goal: " + options.goal);
+  }
+  return options;
+}
+
+/*
+ * Solve the board with the algorithm, heuristic and limits of the options.
+ * The heuristic must be loaded. Returns the result.
+ */
+function solveBoard(theBoard, theOptions) {
+  let solver = Solver.create(theOptions.algorithm, theOptions.heuristic);
+  let start = Date.now();
+  let result = { finished: false, board: null };
+
+  if (solver.startSolving(theBoard)) {
+    do {
+      result = solver.checkBoards(Math.min(1000, theOptions.maxChecks - solver.getCheckedLength()));
+    } while (!result.finished && result.board !== null && Date.now() - start < theOptions.timeLimit);
+  }
+
+  return {
+    solved: result.finished,
+    solvable: theBoard.isSolvable(),
+    moves: result.finished ? result.board.getDirections() : [],
+    length: result.finished ? result.board.depth : -1,
+    expanded: solver.getCheckedLength(),
+    peakFrontier: solver.getPeakFrontierLength(),
+    peakStored: solver.getPeakStoredLength(),
+    directions: solver.getDirectionLengths(),
+    time: Date.now() - start
+  };
+}
+
+/*
+ * Check the heuristic can be used with the board and load it.
+ */
+async function loadHeuristic(theName, theBoard) {
+  let heuristic = Board.getHeuristic(theName);
+
+  if (!heuristic.isAvailable(theBoard)) {
+    throw new Error("The " + heuristic.label + " heuristic can not be used with this board size or goal");
+  }
+  await heuristic.load();
+}
+
+/*
+ * Solve the board as told by the options and return the result.
+ */
+async function solve(theOptions) {
+  let text = (theOptions.file !== null) ? fs.readFileSync(theOptions.file, "utf8") : theOptions.board;
+
+  if (text === null) {
+    throw new Error("No board given");
+  }
+
+  let board = PositionFormat.parse(text, theOptions.width, theOptions.height, theOptions.goal).board;
+  await loadHeuristic(theOptions.heuristic, board);
+  return solveBoard(board, theOptions);
+}
+
+/*
+ * Read the positions of the problem file: one per line, the board and the
+ * shortest solution length if known, "#" starting a comment. Returns
+ * { line, board, optimal } for each, optimal -1 if not known.
+ */
+function parseProblems(theText, theOptions) {
+  let problems = [];
+  let lines = theText.split("\n");
+
+  for (let i = 0; i < lines.length; i++) {
+    let fields = lines[i].replace(/#.*/, "").trim().split(/\s+/);
+    if (fields[0] === "") {
+      continue;
+    }
+    if (fields.length > 2 || (fields.length == 2 && !/^\d+$/.test(fields[1]))) {
+      throw new Error("Line " + (i + 1) + ": expected a board and its solution length");
+    }
+
+    try {
+      problems.push({
+        line: i + 1,
+        board: PositionFormat.parse(fields[0], theOptions.width, theOptions.height, theOptions.goal).board,
+        optimal: (fields.length == 2) ? parseInt(fields[1], 10) : -1
+      });
+    } catch (error) {
+      throw new Error("Line " + (i + 1) + ": " + error.message);
+    }
+  }
+  return problems;
+}
+
+/*
+ * Return the median of the numbers.
+ */
+function median(theNumbers) {
+  let sorted = theNumbers.slice(0).sort((a, b) => a - b);
+  let middle = Math.floor(sorted.length / 2);
+
+  if (sorted.length === 0) {
+    return 0;
+  }
+  return (sorted.length % 2 == 1) ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/*
+ * Return the summary statistics of the benchmark results.
+ */
+function summarize(theResults) {
+  let solved = theResults.filter((result) => result.solved);
+  let expanded = theResults.map((result) => result.expanded);
+  let times = theResults.map((result) => result.time);
+  let totalExpanded = expanded.reduce((sum, count) => sum + count, 0);
+  let totalTime = times.reduce((sum, time) => sum + time, 0);
+
+  return {
+    positions: theResults.length,
+    solved: solved.length,
+    unsolved: theResults.length - solved.length,
+    optimal: solved.filter((result) => result.optimal === true).length,
+    notOptimal: solved.filter((result) => result.optimal === false).length,
+    totalExpanded: totalExpanded,
+    meanExpanded: (theResults.length > 0) ? Math.round(totalExpanded / theResults.length) : 0,
+    medianExpanded: median(expanded),
+    maxExpanded: Math.max(0, ...expanded),
+    maxPeakStored: Math.max(0, ...theResults.map((result) => result.peakStored)),
+    totalTime: totalTime,
+    meanTime: (theResults.length > 0) ? Math.round(totalTime / theResults.length) : 0,
+    maxTime: Math.max(0, ...times),
+    expandedPerSecond: Math.round(totalExpanded * 1000 / Math.max(1, totalTime))
+  };
+}
+
+/*
+ * Solve the positions of the problem file as told by the options and return
+ * the report: the options, the result of each position and the summary.
+ */
+async function benchmark(theOptions) {
+  let file = (theOptions.file !== null) ? theOptions.file : theOptions.board;
+
+  if (file === null) {
+    throw new Error("No problem file given");
+  }
+
+  let problems = parseProblems(fs.readFileSync(file, "utf8"), theOptions);
+  let results = [];
+
+  for (let problem of problems) {
+    await loadHeuristic(theOptions.heuristic, problem.board);
+    let result = solveBoard(problem.board, theOptions);
+
+    results.push({
+      line: problem.line,
+      board: PositionFormat.format(problem.board, [], "hash"),
+      recorded: problem.optimal,
+      length: result.length,
+      // Whether the solution is as short as the recorded one, null if not
+      // known
+      optimal: (result.solved && problem.optimal >= 0) ? result.length == problem.optimal : null,
+      solved: result.solved,
+      expanded: result.expanded,
+      peakFrontier: result.peakFrontier,
+      peakStored: result.peakStored,
+      time: result.time
+    });
+  }
+
+  return {
+    file: file,
+    algorithm: theOptions.algorithm,
+    heuristic: theOptions.heuristic,
+    goal: theOptions.goal,
+    // JSON has no Infinity, null for no limit
+    maxChecks: isFinite(theOptions.maxChecks) ? theOptions.maxChecks : null,
+    timeLimit: isFinite(theOptions.timeLimit) ? theOptions.timeLimit : null,
+    results: results,
+    summary: summarize(results)
+  };
+}
+
+/*
+ * Return the benchmark results as CSV, one row for each position.
+ */
+function formatCsv(theReport) {
+  let columns = ["line", "board", "recorded", "length", "optimal", "solved", "expanded", "peakFrontier",
+    "peakStored", "time"];
+  // The boards have commas, quote them
+  let cell = (theValue) => (theValue === null) ? "" :
+    (/[",]/.test(String(theValue)) ? '"' + String(theValue).replace(/"/g, '""') + '"' : String(theValue));
+  let rows = theReport.results.map((result) => columns.map((column) => cell(result[column])).join(","));
+
+  return [columns.join(",")].concat(rows).join("\n");
+}
+
+/*
+ * Print the benchmark report as text, JSON or CSV.
+ */
+function printReport(theReport, theJson, theCsv) {
+  let summary = theReport.summary;
+
+  if (theJson) {
+    console.log(JSON.stringify(theReport, null, 2));
+  } else if (theCsv) {
+    console.log(formatCsv(theReport));
+  } else {
+    for (let result of theReport.results) {
+      let check = (result.optimal === null) ? "" : (result.optimal ? " optimal" : " NOT OPTIMAL, recorded " + result.recorded);
+      console.log("Line " + result.line + ": " + (result.solved ? "length " + result.length + check : "not solved") +
+        ", " + result.expanded + " expanded, " + result.time + " ms");
+    }
+    console.log("Positions: " + summary.positions + ", solved " + summary.solved + ", optimal " + summary.optimal +
+      ", not optimal " + summary.notOptimal);
+    console.log("Nodes expanded: " + summary.totalExpanded + " in total, mean " + summary.meanExpanded +
+      ", median " + summary.medianExpanded + ", max " + summary.maxExpanded);
+    console.log("Peak stored states: " + summary.maxPeakStored);
+    console.log("Time: " + summary.totalTime + " ms in total, mean " + summary.meanTime + " ms, max " +
+      summary.maxTime + " ms, " + summary.expandedPerSecond + " nodes per second");
+  }
+}
+
+/*
+ * Print the result as text or JSON.
+ */
+function printResult(theResult, theJson) {
+  if (theJson) {
+    console.log(JSON.stringify(theResult));
+  } else if (!theResult.solvable) {
+    console.log("The board can not be solved");
+  } else if (!theResult.solved) {
+    console.log("No solution found after expanding " + theResult.expanded + " nodes");
+  } else {
+    console.log("Moves: " + MoveNotation.format(theResult.moves, "verbose"));
+    console.log("Compact: " + MoveNotation.format(theResult.moves, "compact"));
+    console.log("Length: " + theResult.length);
+    console.log("Nodes expanded: " + theResult.expanded);
+    console.log("Peak frontier: " + theResult.peakFrontier);
+    console.log("Peak stored states: " + theResult.peakStored);
+    for (let direction of theResult.directions) {
+      console.log("Nodes expanded " + direction.name + ": " + direction.checked + ", frontier " + direction.frontier);
+    }
+    console.log("Time: " + theResult.time + " ms");
+  }
+}
+
+async function main() {
+  let options = null;
+
+  try {
+    options = parseArguments(process.argv.slice(2));
+    if (options.help) {
+      console.log(usage);
+      return 0;
+    }
+    if (options.command == "benchmark") {
+      let report = await benchmark(options);
+      printReport(report, options.json, options.csv);
+      return (report.summary.unsolved > 0 || report.summary.notOptimal > 0) ? 2 : 0;
+    }
+    if (options.command != "solve") {
+      throw new Error((options.command === null) ? "No command given" : "Unknown command: " + options.command);
+    }
+
+    let result = await solve(options);
+    printResult(result, options.json);
+    return result.solved ? 0 : 2;
+  } catch (error) {
+    console.error(error.message);
+    if (options === null || !options.json) {
+      console.error(usage);
+    }
+    return 1;
+  }
+}
+
+main().then((code) => {
+  process.exitCode = code;
+});
@@ -1,373 +1,573 @@
 'use strict';
 
 /*
- * Class for managing the state of the board. Used in the search tree.
+ * Runs the solving in a Web Worker so the page stays responsive. Has the same
+ * methods for the state of the search as Solver. The messages of BatchRunner
+ * are given to the listener function. If the worker can't be used (as with
+ * pages opened from file: in some browsers), runs BatchRunner on the page.
  */
-class Board {
-
-  constructor(theParent, theValues, theDirection) {
-	  	// Parent of the board in the search tree
-	    this.parent = theParent;
-	    // Values representing the state of the board
-	    this.values = theValues.slice(0);
-	    // Numerical id of the board based on it's current state as string. Used
-		// to check if the boards are same
-	    this.numId = this.countId();
-	    // Manhattan heuristic distance from this state to solved state
-	    this.estimatedDistance = this.countEstimatedDistance();
-	    // Direction the "0" moved from the parent board
-	    this.direction = theDirection;
-	    // Depth in the search tree
-	    this.depth = this.countDepth();
-  }
-
-  /*
-	 * Count and return the string representing the state
-	 */
-  countId() {
-    let value = "";
-    for (let i = 0; i < this.values.length; i++) {
-      value = value + this.values[i];
-    }
-    return value;
+class BackgroundSolver {
+  constructor(theListener) {
+    this.listener = theListener;
+    this.worker = null;
+    this.runner = null;
+    this.solving = false;
+    this.description = "";
+    this.checked = 0;
+    this.frontier = 0;
+    this.peakFrontier = 0;
+    this.peakStored = 0;
+    this.directions = [];
+    // The last solve command, sent again if the worker fails to start
+    this.command = null;
+    // Id of the latest run, the messages of the earlier runs are dropped
+    this.runId = 0;
   }
 
   /*
-	 * Return the side count of the board. Board size is side count * side
-	 * count.
-	 */
-  sideCount() {
-    return Math.floor(Math.sqrt(this.values.length));
+   * Return true if the solving is going on.
+   */
+  isSolving() {
+    return this.solving;
   }
 
   /*
-	 * Count the Manhattan heuristic distance from this state to solved state
-	 * and return it.
-	 */
-  countEstimatedDistance() {
-    let estimated = 0;
-    let x = 0;
-    let y = 0;
-    let sideCount = this.sideCount();
+   * Return the text describing the algorithm.
+   */
+  getDescription() {
+    return this.description;
+  }
 
-    for (let i = 0; i < this.values.length; i++) {
-      if (this.values[i] !== 0) {
-        x = Math.abs((this.values[i] % sideCount) - (i % sideCount));
-        y = Math.abs((Math.floor(this.values[i] / sideCount)) - (Math.floor(i / sideCount)));
+  /*
+   * Returns the number of board positions checked so far.
+   */
+  getCheckedLength() {
+    return this.checked;
+  }
 
-        estimated = estimated + x + y;
-      }
-    }
+  /*
+   * Returns the number of board positions waiting to be checked.
+   */
+  getFrontierLength() {
+    return this.frontier;
+  }
 
-    return estimated;
+  /*
+   * Returns the largest frontier length of the search so far.
+   */
+  getPeakFrontierLength() {
+    return this.peakFrontier;
   }
 
   /*
-	 * Return a copy of the state.
-	 */
-  getValues() {
-    return this.values.slice(0);
+   * Returns the largest number of board states kept in memory so far.
+   */
+  getPeakStoredLength() {
+    return this.peakStored;
   }
 
   /*
-	 * Return the id string representing the state of the board.
-	 */
-  getNumId() {
-    return this.numId;
+   * Returns the checked and frontier lengths of each side of a
+   * bidirectional search, see Solver.getDirectionLengths().
+   */
+  getDirectionLengths() {
+    return this.directions;
   }
 
   /*
-	 * Return the Manhattan heuristic distance from this state to solved state.
-	 */
-  getEstimatedDistance() {
-    return this.estimatedDistance;
+   * Starts solving the given board with the given algorithm and heuristic
+   * names. Returns false and doesn't start if the board can't be solved.
+   */
+  startSolving(theBoard, theAlgorithm, theHeuristic) {
+    if (!theBoard.isSolvable()) {
+      return false;
+    }
+
+    this.description = Solver.create(theAlgorithm, theHeuristic).getDescription();
+    this.checked = 0;
+    this.frontier = 0;
+    this.peakFrontier = 0;
+    this.peakStored = 0;
+    this.directions = [];
+    this.solving = true;
+    this.runId++;
+    this.command = {
+      command: "solve",
+      runId: this.runId,
+      values: theBoard.getValues(),
+      width: theBoard.getWidth(),
+      height: theBoard.getHeight(),
+      goal: theBoard.getGoal().name,
+      algorithm: theAlgorithm,
+      heuristic: theHeuristic
+    };
+    this.send(this.command);
+    return true;
   }
 
   /*
-	 * Count and return the depth in the search tree.
-	 */
-  countDepth() {
-    if (this.parent !== null) {
-      return this.parent.depth + 1;
+   * Stops solving.
+   */
+  stopSolving() {
+    if (this.solving) {
+      this.send({ command: "cancel" });
+    }
+    this.solving = false;
+    this.command = null;
+  }
+
+  /*
+   * Send the command to the worker, or give it to the runner on the page.
+   */
+  send(theCommand) {
+    if (this.worker === null && this.runner === null) {
+      try {
+        this.worker = new Worker("solverworker.js");
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = this.useRunner.bind(this);
+      } catch (error) {
+        this.useRunner();
+      }
+    }
+
+    if (this.worker !== null) {
+      this.worker.postMessage(theCommand);
+    } else if (theCommand.command == "solve") {
+      this.runner.start(theCommand.values, theCommand.width, theCommand.height, theCommand.goal,
+        theCommand.algorithm, theCommand.heuristic, theCommand.runId);
     } else {
-      return 0;
+      this.runner.cancel();
     }
   }
 
   /*
-	 * Return the estimated total cost from this state to solved state.
-	 */
-  getTotalCost() {
-    return this.depth + this.estimatedDistance;
+   * Stop using the worker and run the solving on the page instead.
+   */
+  useRunner() {
+    if (this.worker !== null) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.runner === null) {
+      this.runner = new BatchRunner(this.handleMessage.bind(this));
+    }
+    if (this.command !== null) {
+      this.send(this.command);
+    }
   }
 
   /*
-	 * Return the index to the "0"
-	 */
-  zeroPosition() {
-    let zeroPos = 0;
+   * Update the state from the message and give it to the listener.
+   */
+  handleMessage(theMessage) {
+    if (!this.solving || theMessage.runId !== this.runId) {
+      // Cancelled, or of a cancelled run, the message was on its way already
+      return;
+    }
 
-    for (let i = 0; i < this.values.length; i++) {
-      if (this.values[i] === 0) {
-        zeroPos = i;
-        break;
-      }
+    if (theMessage.checked !== undefined) {
+      this.checked = theMessage.checked;
+      this.frontier = theMessage.frontier;
+      this.peakFrontier = theMessage.peakFrontier;
+      this.peakStored = theMessage.peakStored;
+      this.directions = theMessage.directions;
     }
-    return zeroPos;
+    if (theMessage.type != "progress") {
+      this.solving = false;
+      this.command = null;
+    }
+    this.listener(theMessage);
+  }
+}
+
+
+/*
+ * Finds a board of a difficulty level: shuffles candidates with the
+ * SeededRandom and solves them optimally in the background until the
+ * shortest solution of one is in the range of the level, see Difficulty.
+ * The same seed gives the same board: the candidates are rejected only by
+ * their estimate and the others are solved to the end, so neither the speed
+ * of the machine nor the heuristic changes the board found. The boards the
+ * pattern database is for are solved with it if its file can be loaded, the
+ * others as in NPuzzle.startOptimalSolving(). The search gives up after a
+ * while without a board. The listener gets the messages
+ *   { type: "checking", level, tries }
+ *   { type: "found", level, seed, board, length, moves, tries }
+ *   { type: "failed", level, message }
+ */
+class LevelGenerator {
+  constructor(theListener) {
+    this.listener = theListener;
+    this.solver = new BackgroundSolver(this.solverMessage.bind(this));
+    this.level = "";
+    // The solved board the candidates are shuffled from
+    this.solvedBoard = null;
+    this.random = null;
+    // The board being solved, null if not running
+    this.candidate = null;
+    this.heuristic = "";
+    this.tries = 0;
+    this.timer = -1;
+    // Set to false when the pattern database file can't be loaded
+    this.usePatternDatabase = true;
   }
 
   /*
-	 * Swap the positions of zero and the given position and count some the
-	 * values to represent the new state.
-	 */
-  swapPositions(swapPos) {
-    let zeroPos = this.zeroPosition();
+   * The number of candidates tried before giving up.
+   */
+  static maxTries() {
+    return 100;
+  }
 
-    this.values[zeroPos] = this.values[swapPos];
-    this.values[swapPos] = 0;
-    this.numId = this.countId();
-    this.estimatedDistance = this.countEstimatedDistance();
+  /*
+   * The milliseconds to look for a board before giving up.
+   */
+  static timeLimit() {
+    return 120000;
   }
 
   /*
-	 * Moves the "0" to different directions and by doing so shuffles the board.
-	 */
-  shuffle(shuffleCount) {
-    let i = 0;
-    let previousZeroPos = -1;
-    let x = 0;
-    let y = 0;
-    let sValue = 0;
-    let sideCount = this.sideCount();
+   * The heuristic used for the boards it is available for, when loaded.
+   */
+  static patternDatabase() {
+    return "pdb663";
+  }
 
-    do {
-      let zeroPos = this.zeroPosition();
+  /*
+   * The levels offered only with the pattern database on the boards it is
+   * for. Without it their candidates can take minutes each to solve.
+   */
+  static patternDatabaseLevels() {
+    return ["hard", "expert"];
+  }
 
-      x = Math.floor(zeroPos % sideCount);
-      y = Math.floor(zeroPos / sideCount);
-      sValue = Math.floor(Math.random() * 4);
+  /*
+   * Return true if looking for a board.
+   */
+  isRunning() {
+    return this.candidate !== null;
+  }
 
-      if (sValue === 0) {
-        x = x - 1;
-      }
-      else if (sValue == 1) {
-        x = x + 1;
-      }
-      else if (sValue == 2) {
-        y = y - 1;
-      }
-      else {
-        y = y + 1;
-      }
+  /*
+   * Look for a board of the level shuffled from the given solved board with
+   * the SeededRandom. Stops the earlier run.
+   */
+  start(theSolvedBoard, theLevel, theRandom) {
+    this.stop();
+    this.solvedBoard = theSolvedBoard;
+    this.level = theLevel;
+    this.random = theRandom;
+    this.tries = 0;
+    this.timer = setTimeout(this.timeOut.bind(this), LevelGenerator.timeLimit());
+    this.tryNext();
+  }
 
-      if ((y >= 0) && (y < sideCount) && (x >= 0) && (x < sideCount)) {
-        let swapPos = y * sideCount + x;
-        if (swapPos != previousZeroPos) {
-          this.swapPositions(swapPos);
-          previousZeroPos = zeroPos;
-          i++;
-        }
-      }
-    } while (i < shuffleCount);
+  /*
+   * Stop looking for the board.
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.solver.stopSolving();
+    this.candidate = null;
   }
 
   /*
-	 * Return true if the board state is the solved position, false otherwise.
-	 */
-  isEndPosition() {
-    for (let i = 0; i < this.values.length; i++) {
-      if (i != this.values[i]) {
-        return false;
+   * Stop and tell the listener why no board was found.
+   */
+  fail(theMessage) {
+    this.stop();
+    this.listener({ type: "failed", level: this.level, message: theMessage });
+  }
+
+  /*
+   * Shuffle the next candidate and start solving it, or tell the listener
+   * no board was found. The candidates too hard by their estimate are
+   * skipped without solving.
+   */
+  tryNext() {
+    let candidate = null;
+
+    while (candidate === null) {
+      if (this.tries == LevelGenerator.maxTries()) {
+        this.fail("No " + this.level + " board found in " + this.tries + " tries");
+        return;
       }
+      this.tries++;
+      candidate = Difficulty.createCandidate(this.solvedBoard, this.level, this.random);
+    }
+
+    this.candidate = candidate;
+    if (this.solveCandidate()) {
+      this.listener({ type: "checking", level: this.level, tries: this.tries });
     }
+  }
 
+  /*
+   * Start finding the shortest solution of the candidate. Returns false and
+   * fails if the level needs the pattern database and it can't be used.
+   */
+  solveCandidate() {
+    let patternDatabase = Board.getHeuristic(LevelGenerator.patternDatabase());
+
+    if (this.usePatternDatabase && patternDatabase.isAvailable(this.candidate)) {
+      this.heuristic = patternDatabase.name;
+    } else if (patternDatabase.isAvailable(this.candidate) &&
+        LevelGenerator.patternDatabaseLevels().indexOf(this.level) != -1) {
+      this.fail("The " + this.level + " level of this board needs the " + patternDatabase.label +
+        ", build them with node tools/buildpdb.js " + patternDatabase.name);
+      return false;
+    } else {
+      this.heuristic = NPuzzle.optimalHeuristic(this.candidate);
+    }
+    this.solver.startSolving(this.candidate, "idastar", this.heuristic);
     return true;
   }
-}
 
+  /*
+   * Looking for the board took too long, give up.
+   */
+  timeOut() {
+    this.fail("No " + this.level + " board found in " + Math.round(LevelGenerator.timeLimit() / 1000) + " seconds");
+  }
 
-/*
- * Helper class for holding board and the estimate. Used for adding boards to be
- * checked to priority queue.
- */
-class FrontierElement {
-  constructor( board, estimate) {
-	  this.board = board;
-	  this.estimate = estimate;
+  /*
+   * Handle the messages of the background solver.
+   */
+  solverMessage(theMessage) {
+    let candidate = this.candidate;
+
+    if (theMessage.type == "finished") {
+      let length = theMessage.moves.length;
+      if (Difficulty.isInRange(this.level, candidate.getWidth(), candidate.getHeight(), length)) {
+        clearTimeout(this.timer);
+        this.candidate = null;
+        this.listener({ type: "found", level: this.level, seed: this.random.getSeed(), board: candidate,
+          length: length, moves: theMessage.moves, tries: this.tries });
+      } else {
+        this.tryNext();
+      }
+    } else if (theMessage.type == "error" && this.heuristic == LevelGenerator.patternDatabase()) {
+      // No database file, solve the same candidate without it if the level
+      // allows
+      this.usePatternDatabase = false;
+      this.solveCandidate();
+    } else if (theMessage.type != "progress") {
+      this.fail(theMessage.message || "The board can not be solved");
+    }
   }
 }
 
 
 /*
- * Class for saving and managing the puzzle solving state.
+ * Keeps the settings, the game being played and the statistics of the
+ * solved games in the localStorage of the browser, as one JSON item:
+ *   { version, settings, game, statistics }
+ * The settings and the game are null until saved, see NPuzzle.saveSettings()
+ * and NPuzzle.saveGame(). The statistics are by board size, "3x3".
+ * Saves of older versions are migrated when read, saves of unknown versions
+ * are ignored. Without a storage (some browsers don't allow it on file:
+ * pages) nothing is kept.
  */
-class Solver {
-  constructor() {
-    this.frontier = [];
-    this.checked = [];
-    this.solving = false;
+class GameStorage {
+  constructor(theStorage) {
+    // The Storage the data is written to, null to keep nothing
+    this.storage = theStorage;
+    this.data = this.read();
   }
 
   /*
-	 * Adds the given board to the list of already checked boards. Uses the
-	 * board id as identifier.
-	 */
-  addChecked(theBoard) {
-    this.checked.push(theBoard.getNumId());
+   * The key of the item in the storage.
+   */
+  static key() {
+    return "npuzzle";
   }
 
   /*
-	 * Return true if the given board has been already checked.
-	 */
-  alreadyChecked(theBoard) {
-    return (this.checked.indexOf(theBoard.getNumId()) != -1);
+   * The version of the saved data. When the data changes, raise the version
+   * and add the function converting the data of the previous version to
+   * migrations().
+   */
+  static version() {
+    return 1;
   }
 
   /*
-	 * Returns the number of unique board positions already checked.
-	 */
-  getCheckedLength() {
-    return this.checked.length;
+   * The functions converting the saved data of each version to the next
+   * one, the first converts the version 1 to the version 2.
+   */
+  static migrations() {
+    return [];
   }
 
   /*
-	 * Returns the number of unique board positions waiting to be checked.
-	 */
-  getFrontierLength() {
-    return this.frontier.length;
+   * Return the localStorage of the window, null if it can't be used.
+   */
+  static localStorage() {
+    try {
+      return window.localStorage;
+    } catch (error) {
+      return null;
+    }
   }
 
   /*
-	 * Return true if the solving is going on.
-	 */
-  isSolving() {
-    return this.solving;
+   * Return the data with nothing saved.
+   */
+  static createData() {
+    return { version: GameStorage.version(), settings: null, game: null, statistics: {} };
   }
 
   /*
-	 * Starts the solving from the given board position.
-	 */
-  startSolving(theBoard) {
-    this.frontier.push( new FrontierElement(theBoard, theBoard.getEstimatedDistance()) );
-    this.solving = true;
+   * Return the statistics with no games played. The times are in seconds,
+   * -1 if there are no solved games. overOptimal is the sum of the moves
+   * over the shortest solution in the optimalCount games it was known.
+   */
+  static createStatistics() {
+    return { played: 0, solved: 0, bestMoves: -1, bestTime: -1, overOptimal: 0, optimalCount: 0 };
   }
 
   /*
-	 * Stops solving.
-	 */
-  stopSolving() {
-    this.frontier = [];
-    this.checked = [];
-    this.solving = false;
+   * Return the data migrated to the current version, null if it is not
+   * saved data of a known version.
+   */
+  static migrate(theData) {
+    let data = theData;
+    let migrations = GameStorage.migrations();
+
+    if (data === null || typeof data != "object" || !Number.isInteger(data.version) ||
+        data.version < 1 || data.version > GameStorage.version()) {
+      return null;
+    }
+    while (data.version < GameStorage.version()) {
+      data = migrations[data.version - 1](data);
+    }
+    if (typeof data.statistics != "object" || data.statistics === null) {
+      data.statistics = {};
+    }
+    return Object.assign(GameStorage.createData(), data);
   }
 
   /*
-	 * Finds from the given array (which contains FrontierElements) a position
-	 * where the estimated cost is bigger than the given cost. If not found,
-	 * returns -1. The array is sorted by the estimated cost, lowest values
-	 * first.
-	 */
-  findFrontierElementIndex(arr, estimatedCost) {
-    for (let i = 0; i < arr.length; i++ ) {
-      if (arr[i].estimate > estimatedCost) {
-        return i;
+   * Read the saved data. Returns the data with nothing saved if there is no
+   * valid data.
+   */
+  read() {
+    let data = null;
+
+    if (this.storage !== null) {
+      try {
+        data = GameStorage.migrate(JSON.parse(this.storage.getItem(GameStorage.key())));
+      } catch (error) {
+        // Not JSON or the storage can't be read, start afresh
+        data = null;
       }
     }
-
-    return -1;
+    return data || GameStorage.createData();
   }
 
   /*
-	 * Checks one board which has the lowest estimated cost. If that is not the
-	 * solution, then expands it by moving the "0" and adding the new boards to
-	 * the frontier.
-	 */
-  checkOneBoard() {
-    let currentBoard = null;
-
-    // Do we have something to check
-    if (this.frontier.length > 0) {
-    	// Get the first board and add it to the list of checked boards
-      currentBoard = this.frontier.shift().board;
-      this.addChecked(currentBoard);
-
-      // Is it the end position
-      if (currentBoard.isEndPosition()) {
-    	  // Return the board containing the solution and tell we are done here.
-        return { finished: true, board:currentBoard };
+   * Write the data to the storage. The data is kept on the page even if the
+   * storage is full or can't be written.
+   */
+  write() {
+    if (this.storage !== null) {
+      try {
+        this.storage.setItem(GameStorage.key(), JSON.stringify(this.data));
+      } catch (error) {
+        // Nothing to do, the next write tries again
       }
+    }
+  }
 
-      // Create new frontier from the board (moving "0" to up, down, left and right)
-      let newFrontier = this.getNewFrontier(currentBoard);
-      let totalCost = 0;
-      let index = 0;
-      let newBoard = null;
-
-      while (newFrontier.length > 0) {
-        newBoard = newFrontier.shift();
-        if (!this.alreadyChecked(newBoard)) {
-        	// The board is not already checked, add it to the correct place in the frontier based it''s estimated cost
-          totalCost = newBoard.getTotalCost();
-          index = this.findFrontierElementIndex(this.frontier, newBoard.getTotalCost());
-          if (index == -1) {
-        	  // Position not found, ad it to the last element
-            this.frontier.push( new FrontierElement(newBoard, newBoard.getTotalCost()) );
-          } else {
-        	  // Position found, add it there
-            this.frontier.splice(index, 0, new FrontierElement(newBoard, newBoard.getTotalCost()) );
-          }
-        }
+  /*
+   * Forget all the saved data.
+   */
+  clear() {
+    this.data = GameStorage.createData();
+    if (this.storage !== null) {
+      try {
+        this.storage.removeItem(GameStorage.key());
+      } catch (error) {
+        // Can't be written, there was nothing saved then
       }
     }
+  }
+
+  /*
+   * Return the saved settings, null if none.
+   */
+  getSettings() {
+    return this.data.settings;
+  }
 
-    // Return the checked board and tell we need more checks
-    return { finished: false, board:currentBoard };
+  /*
+   * Save the settings.
+   */
+  setSettings(theSettings) {
+    this.data.settings = theSettings;
+    this.write();
   }
 
   /*
-   * Return a list of new frontier boards by moving the "0" to up, down, left and right and checking they are valid moves.
+   * Return the saved game, null if none.
    */
-  getNewFrontier(currentBoard) {
-    let newFrontier = [];
-    let zeroPos = currentBoard.zeroPosition();
-    let newBoard = null;
-    let position = 0;
+  getGame() {
+    return this.data.game;
+  }
 
-    // Check up
-    position = zeroPos - currentBoard.sideCount();
-    if (position >= 0) {
-      newBoard = new Board(currentBoard, currentBoard.getValues(), "Up");
-      newBoard.swapPositions(position);
-      newFrontier.push(newBoard);
-    }
+  /*
+   * Save the game.
+   */
+  setGame(theGame) {
+    this.data.game = theGame;
+    this.write();
+  }
 
-    // Check down
-    position = zeroPos + currentBoard.sideCount();
-    if (position < currentBoard.sideCount() * currentBoard.sideCount()) {
-      newBoard = new Board(currentBoard, currentBoard.getValues(), "Down");
-      newBoard.swapPositions(position);
-      newFrontier.push(newBoard);
-    }
+  /*
+   * Return the statistics of the board size.
+   */
+  getStatistics(theWidth, theHeight) {
+    return Object.assign(GameStorage.createStatistics(), this.data.statistics[theWidth + "x" + theHeight]);
+  }
 
-    // Check left
-    position = zeroPos - 1;
-    if (position >= 0) {	// ParseInt eats the -0 away
-      if (Math.floor(position / currentBoard.sideCount()) == Math.floor(zeroPos / currentBoard.sideCount())) {
-        newBoard = new Board(currentBoard, currentBoard.getValues(), "Left");
-        newBoard.swapPositions(position);
-        newFrontier.push(newBoard);
-      }
-    }
+  /*
+   * Change the statistics of the board size with the given function and
+   * save them.
+   */
+  updateStatistics(theWidth, theHeight, theUpdate) {
+    let statistics = this.getStatistics(theWidth, theHeight);
 
-    // Check right
-    position = zeroPos + 1;
-    if (Math.floor(position / currentBoard.sideCount()) == Math.floor(zeroPos / currentBoard.sideCount())) {
-      newBoard = new Board(currentBoard, currentBoard.getValues(), "Right");
-      newBoard.swapPositions(position);
-      newFrontier.push(newBoard);
-    }
+    theUpdate(statistics);
+    this.data.statistics[theWidth + "x" + theHeight] = statistics;
+    this.write();
+  }
+
+  /*
+   * Count a game started on the board size.
+   */
+  recordPlayed(theWidth, theHeight) {
+    this.updateStatistics(theWidth, theHeight, (statistics) => statistics.played++);
+  }
 
-    return newFrontier;
+  /*
+   * Count a game solved with the given moves and seconds.
+   */
+  recordSolved(theWidth, theHeight, theMoveCount, theSeconds) {
+    this.updateStatistics(theWidth, theHeight, (statistics) => {
+      statistics.solved++;
+      statistics.bestMoves = (statistics.bestMoves == -1) ? theMoveCount : Math.min(statistics.bestMoves, theMoveCount);
+      statistics.bestTime = (statistics.bestTime == -1) ? theSeconds : Math.min(statistics.bestTime, theSeconds);
+    });
+  }
+
+  /*
+   * Count the moves of a solved game over the shortest solution.
+   */
+  recordOptimal(theWidth, theHeight, theMoveCount, theOptimalLength) {
+    this.updateStatistics(theWidth, theHeight, (statistics) => {
+      statistics.overOptimal += theMoveCount - theOptimalLength;
+      statistics.optimalCount++;
+    });
   }
 }
 
@@ -387,19 +587,74 @@ var npuzzle = null;
 class NPuzzle {
 
 	/*
-	 * Create everything and show the board
+	 * Create everything and show the board with the given number of columns
+	 * and rows. The settings and the game saved to the given GameStorage are
+	 * restored.
 	 */
-  constructor(boardSize) {
-    this.boardSize = boardSize;
-    this.defaultValues = this.createValues(boardSize);
-    this.board = new Board(null, this.defaultValues, "");
-    this.solver = new Solver();
+  constructor(theWidth, theHeight, theStorage) {
+    // Keeps the settings, the game and the statistics, nothing if not given
+    this.storage = theStorage || new GameStorage(null);
+    // Taken before the new game is saved over them
+    let settings = this.storage.getSettings();
+    let game = this.storage.getGame();
+    this.width = theWidth;
+    this.height = theHeight;
+    // Name of the Goal the board is solved to
+    this.goal = "blankfirst";
+    this.defaultValues = this.createValues();
+    this.board = this.createBoard(this.defaultValues);
+    this.algorithm = "astar";
+    this.heuristic = "manhattan";
+    this.solver = Solver.create(this.algorithm, this.heuristic);
+    // "visual" checks one board at a time on the page, "background" solves in
+    // a Web Worker
+    this.solvingMode = "visual";
+    // The keys move the "blank" ("0") or the "tile" next to it
+    this.keyOrientation = "blank";
+    this.backgroundSolver = new BackgroundSolver(this.backgroundMessage.bind(this));
     this.view = new NPuzzleView(this, this.board);
-    this.solvingSpeedInMs = NPuzzle.solvingSpeed();
+    this.searchView = new SearchView();
+    this.comparisonView = new ComparisonView(this);
     this.solutionAnimator = new SolutionAnimator(this.board, this.board, this.view);
+    this.solutionAnimator.updateView();
+    this.setSpeed(NPuzzle.solvingSpeed());
     this.solvingTimer = -1;
 
+    // The moves played by hand and the moves undone, for redo
+    this.moves = [];
+    this.undoneMoves = [];
+    // When the first move was played and when the board got solved, -1 if not
+    this.playStart = -1;
+    this.playEnd = -1;
+    this.playTimer = -1;
+    // The shortest solution length, found in the background for comparison
+    this.optimalLength = -1;
+    // True if the shortest solution wasn't found in optimalTimeLimit()
+    this.optimalUnknown = false;
+    this.optimalTimer = -1;
+    // The board the shortest solution is looked for from, the moves found and
+    // the ids of the boards along them. The hints follow them while the
+    // board is on the way.
+    this.optimalStart = null;
+    this.optimalMoves = [];
+    this.optimalPath = [];
+    // The moves of the game counted to the statistics as solved, -1 if not
+    this.solvedMoves = -1;
+    // How the board was shuffled, { seed, mode, moveCount, daily } with the
+    // date of the daily challenge or "", null if the board was not shuffled
+    this.puzzle = null;
+    this.optimalSolver = new BackgroundSolver(this.optimalMessage.bind(this));
+    // Finds the next move from the current board, hintId is the id of the
+    // board the hint is for
+    this.hintSolver = new BackgroundSolver(this.hintMessage.bind(this));
+    this.hintId = "";
+    this.hintTimer = -1;
+    // Looks for the boards of the difficulty levels
+    this.levelGenerator = new LevelGenerator(this.levelMessage.bind(this));
+
     this.view.setBoard(this.board);
+    this.startPlay();
+    this.restoreState(settings, game);
 }
 
   /*
@@ -410,30 +665,61 @@ class NPuzzle {
   }
 
   /*
-   * Create the values which represent solved puzzle.
+   * The milliseconds the shortest solution of the played board is looked for,
+   * its length is unknown after that.
    */
-  createValues(boardSize) {
-    let values = new Array(boardSize);
-    for (let i = 0; i < boardSize; i++){
-      values[i] = i;
-    }
+  static optimalTimeLimit() {
+	  return 30000;
+  }
+
+  /*
+   * The milliseconds the next move is looked for when asked for a hint.
+   */
+  static hintTimeLimit() {
+	  return 20000;
+  }
+
+  /*
+   * Create the values which represent solved puzzle of the current size and
+   * goal.
+   */
+  createValues() {
+    return Goal.get(this.goal, this.width, this.height).getValues();
+  }
+
+  /*
+   * Create a new board of the current size and goal with the given values.
+   */
+  createBoard(theValues) {
+    return new Board(null, theValues, "", this.width, this.height, this.goal);
+  }
 
-    return values;
+  /*
+   * Return the solver used with the current solving mode.
+   */
+  activeSolver() {
+    if (this.solvingMode == "background") {
+      return this.backgroundSolver;
+    }
+    return this.solver;
   }
 
   /*
    * General change event for UI to respond.
    */
-  fireChangeEvent(cause, estimatedDistance, solution) {
+  fireChangeEvent(cause, estimatedDistance, solution, message) {
     document.dispatchEvent(
       new CustomEvent("board.change",
         {
           'detail': {
             reason: cause,
-            counter: this.solver.getCheckedLength(),
-            frontier: this.solver.getFrontierLength(),
+            counter: this.activeSolver().getCheckedLength(),
+            frontier: this.activeSolver().getFrontierLength(),
+            directions: this.activeSolver().getDirectionLengths(),
             distance: estimatedDistance,
-            solution: solution
+            description: this.activeSolver().getDescription(),
+            solution: solution,
+            message: message
           }
         }));
 
@@ -443,114 +729,870 @@ class NPuzzle {
    * Reset everything back to the startup state.
    */
   reset() {
-	  this.board = new Board(null, this.defaultValues, "");
+	  this.board = this.createBoard(this.defaultValues);
 	  this.view.setBoard(this.board);
-	  this.cancelSolvingTimer();
-	  this.solver.stopSolving();
-	  this.solutionAnimator.stopAnimating();
-	  this.solutionAnimator = new SolutionAnimator(this.board, this.board, this.view);
+	  this.stopSolving();
+	  this.setSolution(this.board, this.board);
 	  this.fireChangeEvent("reset", 0, "");
-	  this.solvingSpeedInMs = NPuzzle.solvingSpeed();
+	  this.setSpeed(NPuzzle.solvingSpeed());
+	  this.setPuzzle(null);
+	  this.startPlay();
   }
 	 
   /*
-   * Respond to the key event by moving the "0" to the direction pointed by the arrow key.
-   * Check that the move is possible and updates the board.
+   * The directions of the arrow keys and the WASD keys.
+   */
+  static keyDirections() {
+    return {
+      ArrowUp: "Up", w: "Up", W: "Up",
+      ArrowDown: "Down", s: "Down", S: "Down",
+      ArrowLeft: "Left", a: "Left", A: "Left",
+      ArrowRight: "Right", d: "Right", D: "Right"
+    };
+  }
+
+  /*
+   * Respond to the key event by moving to the direction pointed by the arrow
+   * or WASD key. The key moves the "0" or the tile next to it, as set by
+   * keyOrientationChanged().
    */
   readKey(e) {
     e = e || window.event;
 
-    let isArrowKey = false;
-    let zeroPos= this.board.zeroPosition();
-
-    let x= Math.floor(zeroPos % this.board.sideCount());
-    let y= Math.floor(zeroPos / this.board.sideCount());
-
-    if (e.keyCode == '38') {
-      // Up arrow
-      y = y - 1;
-      isArrowKey = true;
-    } else if (e.keyCode == '40') {
-      // Down arrow
-      y = y + 1;
-      isArrowKey = true;
-    } else if (e.keyCode == '37') {
-      // Left arrow
-      x = x - 1;
-      isArrowKey = true;
-    } else if (e.keyCode == '39') {
-      // Right arrow
-      x = x + 1;
-      isArrowKey = true;
-    }
-
-    if (isArrowKey) {
-        // Is the move possible?
-        if ((y < 0) || (y >= this.board.sideCount()) || (x < 0) || (x >= this.board.sideCount())) {
-          return;
-        }
-
-        // Swap the positions and update the UI
-        this.board.swapPositions(y * this.board.sideCount() + x);
+    if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+      // Ctrl+Z undo, Ctrl+Y and Ctrl+Shift+Z redo
+      let key = e.key.toLowerCase();
+      if (key == "z" && !e.shiftKey) {
+        this.undo();
+        e.preventDefault();
+      } else if (key == "y" || key == "z") {
+        this.redo();
+        e.preventDefault();
+      }
+      return;
+    }
+    if (e.altKey) {
+      return;
+    }
 
-        this.view.setBoard(this.board);
+    let direction = NPuzzle.keyDirections()[e.key];
+    if (direction !== undefined) {
+      if (this.keyOrientation == "tile") {
+        this.moveTileTowards(direction);
+      } else {
+        this.moveBlank(direction);
+      }
+      // Don't scroll the page with the arrow keys
+      e.preventDefault();
     }
   }
 
   /*
-   * Starts Solver.
+   * Return true if the player can move the tiles, not while solving or
+   * animating the solution.
    */
-  solve() {
-	  this.solutionAnimator.stopAnimating();
-	  this.solver.startSolving(this.board);
-	  this.solvingTimer = setTimeout(this.oneCheck.bind(this), 1);
+  canMove() {
+    return !this.activeSolver().isSolving() && !this.solutionAnimator.isAnimating();
   }
 
   /*
-   * Speeds up the Solver.
+   * Move the "0" to the given direction ("Up", "Down", "Left" or "Right"),
+   * remember the move and update the board. Returns false if the move is not
+   * possible.
    */
-  faster() {
-    if (!this.solver.isSolving()) {
-      this.solve();
+  moveBlank(theDirection) {
+    if (!this.applyMove(theDirection)) {
+      return false;
+    }
+
+    this.moves.push(theDirection);
+    this.undoneMoves = [];
+    if (this.playStart == -1) {
+      // The clock starts from the first move
+      this.playStart = Date.now();
+      this.storage.recordPlayed(this.width, this.height);
     }
-    this.solvingSpeedInMs = 4 + Math.floor(this.solvingSpeedInMs * 0.8);
+    this.showPlay();
+    return true;
   }
 
   /*
-   * Slows down the Solver.
+   * Move the "0" to the given direction and update the board, without
+   * remembering the move. Returns false if the move is not possible.
    */
-  slower() {
-    if (!this.solver.isSolving()) {
-      this.solve();
+  applyMove(theDirection) {
+    if (!this.canMove()) {
+      return false;
+    }
+
+    // Is the move possible?
+    let position = this.board.positionTowards(theDirection);
+    if (position == -1) {
+      return false;
     }
-    this.solvingSpeedInMs = 4 + Math.floor(this.solvingSpeedInMs / 0.8);
+
+    // The hint is for the old position
+    this.clearHint();
+
+    // Swap the positions and update the UI
+    this.board.swapPositions(position);
+    this.view.setBoard(this.board);
+    return true;
   }
 
   /*
-   * Stops Solver and shuffles the board by moving the "0" 10 times.
+   * Take back the last move. Returns false if there is nothing to undo.
    */
-  shuffle() {
-	  this.solutionAnimator.stopAnimating();
-	  this.solutionAnimator = new SolutionAnimator(this.board, this.board, this.view);
-	  this.cancelSolvingTimer();
-	  this.solver.stopSolving();
-	  this.fireChangeEvent("reset", 0, "");
-	  this.board.shuffle(10);
-	  this.view.setBoard(this.board);
+  undo() {
+    if (this.moves.length == 0 ||
+        !this.applyMove(Board.oppositeDirection(this.moves[this.moves.length - 1]))) {
+      return false;
+    }
+
+    this.undoneMoves.push(this.moves.pop());
+    this.showPlay();
+    return true;
   }
 
   /*
-   * Cancel the solving timer.
+   * Play again the move taken back last. Returns false if there is nothing to
+   * redo.
    */
-  cancelSolvingTimer() {
-	  clearTimeout(this.solvingTimer);
+  redo() {
+    if (this.undoneMoves.length == 0 || !this.applyMove(this.undoneMoves[this.undoneMoves.length - 1])) {
+      return false;
+    }
+
+    this.moves.push(this.undoneMoves.pop());
+    this.showPlay();
+    return true;
   }
 
-  animateSolution() {
+  /*
+   * Start playing the current board by hand: forget the moves, reset the
+   * clock and find the shortest solution in the background. Boards larger
+   * than 16 cells take too long to solve optimally. Stops looking for a
+   * board of a difficulty level, the board to play is chosen.
+   */
+  startPlay() {
+    this.levelGenerator.stop();
+    this.moves = [];
+    this.undoneMoves = [];
+    this.playStart = -1;
+    this.playEnd = -1;
+    this.stopPlayTimer();
+
+    this.optimalLength = -1;
+    this.optimalUnknown = false;
+    this.setOptimalPath(null, []);
+    this.solvedMoves = -1;
+    this.findOptimalLength(this.board);
+    this.clearHint();
+    this.showPlay();
+  }
+
+  /*
+   * Start finding the length of the shortest solution of the given board to
+   * compare the game with, for at most optimalTimeLimit().
+   */
+  findOptimalLength(theBoard) {
+    this.stopOptimalSolving();
+    this.optimalStart = this.createBoard(theBoard.getValues());
+    if (!theBoard.isEndPosition() && this.startOptimalSolving(this.optimalSolver, theBoard)) {
+      this.optimalTimer = setTimeout(this.optimalTimeOut.bind(this), NPuzzle.optimalTimeLimit());
+    }
+  }
+
+  /*
+   * Stop finding the shortest solution length.
+   */
+  stopOptimalSolving() {
+    this.optimalSolver.stopSolving();
+    clearTimeout(this.optimalTimer);
+  }
+
+  /*
+   * Remember the shortest solution from the start board, to find the hints
+   * along it. No start board forgets it.
+   */
+  setOptimalPath(theStart, theMoves) {
+    let board = theStart;
+
+    this.optimalMoves = theMoves.slice(0);
+    this.optimalPath = [];
+    if (board !== null) {
+      this.optimalPath.push(board.getNumId());
+      for (let i = 0; i < theMoves.length; i++) {
+        board = board.createChild(theMoves[i], board.positionTowards(theMoves[i]));
+        this.optimalPath.push(board.getNumId());
+      }
+    }
+  }
+
+  /*
+   * The shortest solution was not found in time, show its length as unknown.
+   */
+  optimalTimeOut() {
+    this.optimalSolver.stopSolving();
+    this.optimalUnknown = true;
+    this.showPlay();
+  }
+
+  /*
+   * Start finding the shortest solution of the given board in the
+   * background with the given BackgroundSolver. Returns false if the board
+   * has more than 16 cells, those take too long to solve optimally.
+   */
+  startOptimalSolving(theSolver, theBoard) {
+    if (theBoard.getValues().length > 16) {
+      return false;
+    }
+
+    return theSolver.startSolving(theBoard, "idastar", NPuzzle.optimalHeuristic(theBoard));
+  }
+
+  /*
+   * Return the name of the heuristic IDA* finds the shortest solution of the
+   * board with.
+   */
+  static optimalHeuristic(theBoard) {
+    return Board.getHeuristic("walkingdistance").isAvailable(theBoard) ? "walkingdistance" : "linearconflict";
+  }
+
+  /*
+   * Show the next move of the shortest solution from the current board. It
+   * is the next move of the shortest solution of the game while the board is
+   * on it, otherwise it is looked for in the background and shown when
+   * found. The game goes on meanwhile.
+   */
+  hint() {
+    if (!this.canMove()) {
+      return;
+    }
+
+    this.clearHint();
+    let index = this.optimalPath.indexOf(this.board.getNumId());
+    if (this.board.isEndPosition()) {
+      this.view.showHint(-1, "The board is solved");
+    } else if (index != -1) {
+      this.showHintMoves(this.optimalMoves.slice(index));
+    } else if (this.startOptimalSolving(this.hintSolver, this.board)) {
+      this.hintId = this.board.getNumId();
+      this.hintTimer = setTimeout(this.hintTimeOut.bind(this), NPuzzle.hintTimeLimit());
+      this.view.showHint(-1, "Looking for the best move...");
+    } else {
+      this.view.showHint(-1, "Hints are available for boards up to 16 cells");
+    }
+  }
+
+  /*
+   * Forget the hint and stop looking for it.
+   */
+  clearHint() {
+    this.hintSolver.stopSolving();
+    clearTimeout(this.hintTimer);
+    this.hintId = "";
+    this.view.showHint(-1, "");
+  }
+
+  /*
+   * The best move was not found in time, stop looking for it.
+   */
+  hintTimeOut() {
+    this.hintSolver.stopSolving();
+    this.hintId = "";
+    this.view.showHint(-1, "No hint found in " + Math.round(NPuzzle.hintTimeLimit() / 1000) + " seconds");
+  }
+
+  /*
+   * Handle the messages of the solver finding the hint. Show the tile to move
+   * and, if selected, the number of moves left.
+   */
+  hintMessage(theMessage) {
+	  if (theMessage.type != "finished" || this.hintId != this.board.getNumId()) {
+		  return;
+	  }
+	  clearTimeout(this.hintTimer);
+	  this.showHintMoves(theMessage.moves);
+  }
+
+  /*
+   * Show the first of the moves of the shortest solution from the current
+   * board as the hint.
+   */
+  showHintMoves(theMoves) {
+	  let position = this.board.positionTowards(theMoves[0]);
+	  let text = "Move " + this.board.getValues()[position] + " " +
+		  Board.oppositeDirection(theMoves[0]).toLowerCase();
+	  if (this.view.getShowHintDistance()) {
+		  text = text + ", " + theMoves.length + " moves to go";
+	  }
+	  this.view.showHint(position, text);
+  }
+
+  /*
+   * Show the number of moves, the time, the shortest solution length and the
+   * statistics, and save the game. Stops the clock and counts the game to
+   * the statistics when the board gets solved.
+   */
+  showPlay() {
+    let solved = this.moves.length > 0 && this.board.isEndPosition();
+
+    if (!solved) {
+      this.playEnd = -1;
+      if (this.playStart != -1 && this.playTimer == -1) {
+        // The clock goes on after undoing the solving move
+        this.playTimer = setInterval(this.showPlay.bind(this), 1000);
+      }
+    } else if (this.playEnd == -1) {
+      this.playEnd = Date.now();
+      this.stopPlayTimer();
+    }
+
+    let seconds = this.getPlaySeconds();
+    if (solved && this.solvedMoves == -1) {
+      // Counted once, even if solved again after undoing
+      this.solvedMoves = this.moves.length;
+      this.storage.recordSolved(this.width, this.height, this.moves.length, seconds);
+      if (this.optimalLength != -1) {
+        this.storage.recordOptimal(this.width, this.height, this.moves.length, this.optimalLength);
+      }
+    }
+    this.view.updatePlay(this.moves.length, seconds, this.optimalLength, this.optimalUnknown, solved);
+    this.view.updateStatistics(this.width, this.height, this.storage.getStatistics(this.width, this.height));
+    this.saveGame();
+  }
+
+  /*
+   * Stop showing the time played every second.
+   */
+  stopPlayTimer() {
+    clearInterval(this.playTimer);
+    this.playTimer = -1;
+  }
+
+  /*
+   * Return the milliseconds played, until solved. -1 before the first move.
+   */
+  getPlayTime() {
+    if (this.playStart == -1) {
+      return -1;
+    }
+    return ((this.playEnd != -1) ? this.playEnd : Date.now()) - this.playStart;
+  }
+
+  /*
+   * Return the whole seconds played, until solved.
+   */
+  getPlaySeconds() {
+    return Math.max(0, Math.floor(this.getPlayTime() / 1000));
+  }
+
+  /*
+   * Save the board, the moves played and undone, the milliseconds played (-1
+   * before the first move), the shortest solution length and how the board
+   * was shuffled, see restoreGame().
+   */
+  saveGame() {
+    this.storage.setGame({
+      values: this.board.getValues(),
+      moves: this.moves.slice(0),
+      undoneMoves: this.undoneMoves.slice(0),
+      time: this.getPlayTime(),
+      optimalLength: this.optimalLength,
+      solvedMoves: this.solvedMoves,
+      puzzle: this.puzzle
+    });
+  }
+
+  /*
+   * Save the size, the goal, the algorithm, the heuristic, the modes and the
+   * speed.
+   */
+  saveSettings() {
+    this.storage.setSettings({
+      width: this.width,
+      height: this.height,
+      goal: this.goal,
+      algorithm: this.algorithm,
+      heuristic: this.heuristic,
+      solvingMode: this.solvingMode,
+      keyOrientation: this.keyOrientation,
+      speed: this.solvingSpeedInMs
+    });
+  }
+
+  /*
+   * Use the saved settings and go on with the saved game. The settings the
+   * page doesn't have any more are skipped, as is a game which doesn't fit
+   * the board.
+   */
+  restoreState(theSettings, theGame) {
+    if (theSettings !== null) {
+      let isSide = (theSide) => Number.isInteger(theSide) && theSide >= 2 && theSide <= 8;
+
+      if (this.view.selectOption("algorithmSelection", theSettings.algorithm)) {
+        this.algorithmChanged(theSettings.algorithm);
+      }
+      if (this.view.selectOption("heuristicSelection", theSettings.heuristic)) {
+        this.heuristicChanged(theSettings.heuristic);
+      }
+      if (this.view.selectOption("solvingModeSelection", theSettings.solvingMode)) {
+        this.solvingModeChanged(theSettings.solvingMode);
+      }
+      if (this.view.selectOption("keyOrientationSelection", theSettings.keyOrientation)) {
+        this.keyOrientationChanged(theSettings.keyOrientation);
+      }
+      if (Number.isInteger(theSettings.speed) && theSettings.speed > 0) {
+        this.setSpeed(theSettings.speed);
+      }
+      if (Goal.names().indexOf(theSettings.goal) != -1) {
+        this.goal = theSettings.goal;
+      }
+      if (isSide(theSettings.width) && isSide(theSettings.height)) {
+        this.boardSizeChanged(theSettings.width, theSettings.height);
+      } else {
+        this.boardSizeChanged(this.width, this.height);
+      }
+    }
+
+    if (theGame !== null) {
+      this.restoreGame(theGame);
+    }
+  }
+
+  /*
+   * Go on with the game saved by saveGame(): the board, the moves to undo
+   * and redo and the clock. Returns false if the game is not valid for the
+   * current size and goal.
+   */
+  restoreGame(theGame) {
+    let isMoves = (theMoves) => Array.isArray(theMoves) &&
+      theMoves.every((move) => Board.oppositeDirection(move) !== undefined);
+    let board = null;
+
+    try {
+      board = PositionFormat.createPosition(theGame.values, this.width, this.height, [], this.goal).board;
+    } catch (error) {
+      return false;
+    }
+    if (!board.isSolvable() || !isMoves(theGame.moves) || !isMoves(theGame.undoneMoves)) {
+      return false;
+    }
+    // The play started from the board before the moves
+    let start = MoveNotation.apply(board, theGame.moves.slice(0).reverse().map(Board.oppositeDirection));
+    if (start.illegal != -1 || MoveNotation.apply(board, theGame.undoneMoves.slice(0).reverse()).illegal != -1) {
+      return false;
+    }
+
+    this.stopSolving();
+    this.board = this.createBoard(board.getValues());
+    this.setSolution(this.board, this.board);
+    this.view.setBoard(this.board);
+    this.startPlay();
+
+    this.moves = theGame.moves.slice(0);
+    this.undoneMoves = theGame.undoneMoves.slice(0);
+    this.solvedMoves = Number.isInteger(theGame.solvedMoves) ? theGame.solvedMoves : -1;
+    let puzzle = theGame.puzzle;
+    if (puzzle && Number.isInteger(puzzle.seed) && typeof puzzle.daily == "string") {
+      this.setPuzzle(puzzle);
+    }
+    // startPlay() looks for the shortest solution from the current board
+    if (Number.isInteger(theGame.optimalLength) && theGame.optimalLength >= 0) {
+      this.stopOptimalSolving();
+      this.optimalLength = theGame.optimalLength;
+    } else if (this.moves.length > 0) {
+      this.findOptimalLength(start.board);
+    }
+    if (Number.isInteger(theGame.time) && theGame.time >= 0) {
+      // The clock goes on from the saved time
+      this.playStart = Date.now() - theGame.time;
+      if (this.moves.length > 0 && this.board.isEndPosition()) {
+        this.playEnd = Date.now();
+      }
+    }
+    this.showPlay();
+    return true;
+  }
+
+  /*
+   * Forget the saved settings, game and statistics. What is played from now
+   * on is saved again.
+   */
+  clearData() {
+    this.storage.clear();
+    this.view.updateStatistics(this.width, this.height, this.storage.getStatistics(this.width, this.height));
+  }
+
+  /*
+   * Handle the messages of the solver finding the shortest solution.
+   */
+  optimalMessage(theMessage) {
+	  if (theMessage.type == "finished") {
+		  clearTimeout(this.optimalTimer);
+		  this.optimalLength = theMessage.moves.length;
+		  this.setOptimalPath(this.optimalStart, theMessage.moves);
+		  if (this.solvedMoves != -1) {
+			  // Solved by hand before the shortest solution was found
+			  this.storage.recordOptimal(this.width, this.height, this.solvedMoves, this.optimalLength);
+		  }
+		  this.showPlay();
+	  }
+  }
+
+  /*
+   * Move the tile next to the "0" to the given direction, to the place of
+   * the "0". Returns false if there is no such tile.
+   */
+  moveTileTowards(theDirection) {
+    return this.moveBlank(Board.oppositeDirection(theDirection));
+  }
+
+  /*
+   * Slide the tile at the given position towards the "0", with the tiles
+   * between them. Returns the number of tiles moved, 0 if the tile is not on
+   * the row or column of the "0".
+   */
+  moveTile(thePosition) {
+    let zeroPos = this.board.zeroPosition();
+    let width = this.board.getWidth();
+    let direction = "";
+    let count = 0;
+
+    if (Math.floor(thePosition / width) == Math.floor(zeroPos / width)) {
+      direction = (thePosition < zeroPos) ? "Left" : "Right";
+      count = Math.abs(thePosition - zeroPos);
+    } else if (thePosition % width == zeroPos % width) {
+      direction = (thePosition < zeroPos) ? "Up" : "Down";
+      count = Math.abs(thePosition - zeroPos) / width;
+    }
+
+    // The "0" moves towards the tile, one tile at a time
+    for (let i = 0; i < count; i++) {
+      if (!this.moveBlank(direction)) {
+        return i;
+      }
+    }
+    return count;
+  }
+
+  /*
+   * Starts Solver.
+   */
+  solve() {
+	  let heuristic = Board.getHeuristic(this.heuristic);
+
+	  this.solutionAnimator.stopAnimating();
+	  if (!heuristic.isAvailable(this.board)) {
+		  this.fireChangeEvent("error", 0, "", "The " + heuristic.label + " heuristic can not be used with this board size or goal");
+		  return;
+	  }
+	  if (this.solvingMode == "background") {
+		  // The worker loads the heuristic data itself
+		  if (!this.backgroundSolver.startSolving(this.board, this.algorithm, this.heuristic)) {
+			  this.fireChangeEvent("unsolvable", this.board.getEstimatedDistance(), "");
+		  }
+		  this.searchView.showMessage("The search is shown when solving step by step");
+		  return;
+	  }
+	  if (!heuristic.isReady()) {
+		  // Load the heuristic data first and try again, if the board, the
+		  // heuristic and the mode are still the same
+		  let request = this.getSolveRequest();
+		  this.fireChangeEvent("error", 0, "", "Loading the " + heuristic.label + "...");
+		  heuristic.load().then(() => {
+			  if (!this.solver.isSolving() && this.getSolveRequest() == request) {
+				  this.solve();
+			  }
+		  }, (error) => {
+			  if (this.getSolveRequest() == request) {
+				  this.fireChangeEvent("error", 0, "", error.message);
+			  }
+		  });
+		  return;
+	  }
+	  if (!this.solver.startSolving(this.board)) {
+		  // Searching would never end, tell the UI instead
+		  this.fireChangeEvent("unsolvable", this.board.getEstimatedDistance(), "");
+		  return;
+	  }
+	  this.searchView.startSearch(this.solver);
+	  this.solvingTimer = setTimeout(this.oneCheck.bind(this), 1);
+  }
+
+  /*
+   * Return the text telling what solve() solves: the board, its size and
+   * goal, the heuristic and the solving mode.
+   */
+  getSolveRequest() {
+	  return [this.board.getNumId(), this.width, this.height, this.goal, this.heuristic, this.solvingMode].join(" ");
+  }
+
+  /*
+   * Speeds up the Solver.
+   */
+  faster() {
+    if (!this.activeSolver().isSolving() && !this.solutionAnimator.isAnimating()) {
+      this.solve();
+    }
+    this.setSpeed(4 + Math.floor(this.solvingSpeedInMs * 0.8));
+  }
+
+  /*
+   * Slows down the Solver.
+   */
+  slower() {
+    if (!this.activeSolver().isSolving() && !this.solutionAnimator.isAnimating()) {
+      this.solve();
+    }
+    this.setSpeed(4 + Math.floor(this.solvingSpeedInMs / 0.8));
+  }
+
+  /*
+   * Set the time between the solving and the animation steps, the tiles
+   * slide faster with shorter times.
+   */
+  setSpeed(theSpeedInMs) {
+    this.solvingSpeedInMs = theSpeedInMs;
+    this.solutionAnimator.setSpeed(theSpeedInMs);
+    this.view.setSlideTime(Math.min(NPuzzleView.slideTime(), Math.floor(theSpeedInMs / 2)));
+    this.saveSettings();
+  }
+
+  /*
+   * Stops Solver and shuffles the solved board. With the "walk" mode the "0"
+   * is moved randomly the given number of times, with the "uniform" mode the
+   * board gets any solvable state with the same probability. The modes named
+   * by the difficulty levels look for a board of the level, see
+   * shuffleLevel(). The same seed (puzzle number) gives the same board, a
+   * random one is used if not given.
+   */
+  shuffle(theMode, theMoveCount, theSeed) {
+	  let random = new SeededRandom(theSeed);
+
+	  if (Difficulty.levels().indexOf(theMode) != -1) {
+		  this.shuffleLevel(theMode, random);
+		  return;
+	  }
+	  this.stopSolving();
+	  this.board = this.createBoard(this.defaultValues);
+	  this.setSolution(this.board, this.board);
+	  this.fireChangeEvent("reset", 0, "");
+	  if (theMode == "uniform") {
+		  this.board.shuffleRandom(random);
+	  } else {
+		  this.board.shuffle(theMoveCount, random);
+	  }
+	  this.view.setBoard(this.board);
+	  this.setPuzzle({ seed: random.getSeed(), mode: theMode, moveCount: theMoveCount, daily: "" });
+	  this.startPlay();
+  }
+
+  /*
+   * Look for a board of the difficulty level shuffled with the SeededRandom
+   * and play it when found, see levelMessage(). The current board stays
+   * meanwhile. Returns false and tells the UI if the board size has no
+   * levels.
+   */
+  shuffleLevel(theLevel, theRandom) {
+	  if (Difficulty.getRange(theLevel, this.width, this.height) === null) {
+		  this.fireChangeEvent("error", 0, "", "Difficulty levels are available for boards up to 2 * 5, 3 * 4 and 4 * 4");
+		  return false;
+	  }
+
+	  this.stopSolving();
+	  this.levelGenerator.start(this.createBoard(this.defaultValues), theLevel, theRandom);
+	  return true;
+  }
+
+  /*
+   * Handle the messages of the LevelGenerator: tell the UI how the search
+   * goes and play the board found. Its shortest solution is known already.
+   */
+  levelMessage(theMessage) {
+	  if (theMessage.type == "checking") {
+		  let article = /^[aeiou]/.test(theMessage.level) ? "an " : "a ";
+		  this.fireChangeEvent("error", 0, "", "Looking for " + article + theMessage.level + " board, checking board " +
+			  theMessage.tries + "...");
+	  } else if (theMessage.type == "found") {
+		  this.stopSolving();
+		  this.board = this.createBoard(theMessage.board.getValues());
+		  this.setSolution(this.board, this.board);
+		  this.fireChangeEvent("reset", 0, "");
+		  this.view.setBoard(this.board);
+		  this.setPuzzle({ seed: theMessage.seed, mode: theMessage.level, moveCount: 0, daily: "" });
+		  this.startPlay();
+		  this.stopOptimalSolving();
+		  this.optimalLength = theMessage.length;
+		  this.setOptimalPath(this.createBoard(this.board.getValues()), theMessage.moves);
+		  this.showPlay();
+	  } else {
+		  this.fireChangeEvent("error", 0, "", theMessage.message);
+	  }
+  }
+
+  /*
+   * Shuffle with the puzzle code given as text, see PuzzleCode. The board
+   * size and the goal change to the ones of the code. A plain puzzle number
+   * is shuffled on the current board with the given mode. Returns false and
+   * tells the UI the reason if it is not a valid code or number.
+   */
+  playPuzzle(theText, theMode, theMoveCount) {
+	  let puzzle = null;
+
+	  try {
+		  if (/^\s*\d*\s*$/.test(theText)) {
+			  puzzle = { width: this.width, height: this.height, goal: this.goal, mode: theMode,
+				  moveCount: theMoveCount, seed: SeededRandom.parseSeed(theText) };
+		  } else {
+			  puzzle = PuzzleCode.parse(theText);
+		  }
+	  } catch (error) {
+		  this.fireChangeEvent("error", 0, "", error.message);
+		  return false;
+	  }
+	  if (puzzle.width < 2 || puzzle.height < 2 || puzzle.width > 8 || puzzle.height > 8) {
+		  this.fireChangeEvent("error", 0, "", "The board can be from 2 * 2 to 8 * 8");
+		  return false;
+	  }
+
+	  if (puzzle.width != this.width || puzzle.height != this.height || puzzle.goal != this.goal) {
+		  this.goal = puzzle.goal;
+		  this.boardSizeChanged(puzzle.width, puzzle.height);
+	  }
+	  this.shuffle(puzzle.mode, puzzle.moveCount, puzzle.seed);
+	  return true;
+  }
+
+  /*
+   * Start the daily challenge of the given date: the uniform shuffle with the
+   * seed of the date, the same board for everyone with the same size and
+   * goal.
+   */
+  dailyChallenge(theDate) {
+	  this.shuffle("uniform", 0, SeededRandom.dailySeed(theDate));
+	  this.setPuzzle(Object.assign({}, this.puzzle, { daily: SeededRandom.dateText(theDate) }));
+	  this.saveGame();
+  }
+
+  /*
+   * Remember how the board was shuffled, null if it wasn't, and show it.
+   */
+  setPuzzle(thePuzzle) {
+	  this.puzzle = thePuzzle;
+	  this.view.updatePuzzle(this.describePuzzle(), (thePuzzle !== null) ? this.getPuzzleCode() : "");
+  }
+
+  /*
+   * Return the code giving the same board, see PuzzleCode. The puzzle is
+   * forgotten when the size or the goal changes, so they are the current ones.
+   */
+  getPuzzleCode() {
+	  return PuzzleCode.format({ width: this.width, height: this.height, goal: this.goal, mode: this.puzzle.mode,
+		  moveCount: this.puzzle.moveCount, seed: this.puzzle.seed });
+  }
+
+  /*
+   * Return the text telling how the board was shuffled, "" if it wasn't.
+   */
+  describePuzzle() {
+	  let puzzle = this.puzzle;
+
+	  if (puzzle === null) {
+		  return "";
+	  } else if (puzzle.daily !== "") {
+		  return "Daily challenge " + puzzle.daily;
+	  } else if (puzzle.mode == "uniform") {
+		  return "Puzzle " + this.getPuzzleCode() + ", uniform random";
+	  } else if (Difficulty.levels().indexOf(puzzle.mode) != -1) {
+		  return "Puzzle " + this.getPuzzleCode() + ", " + puzzle.mode + " level";
+	  }
+	  return "Puzzle " + this.getPuzzleCode() + ", random walk of " + puzzle.moveCount + " moves";
+  }
+
+  /*
+   * Return the result of the game as text to share: the board size, the
+   * puzzle, the moves and the time played and the shortest solution length.
+   */
+  getShareText() {
+	  let title = "N-Puzzle " + this.width + " * " + this.height;
+	  let solved = this.moves.length > 0 && this.board.isEndPosition();
+	  let result = (solved ? "Solved in " : "Not solved yet, ") + this.moves.length + " moves / " +
+		  this.getPlaySeconds() + " seconds";
+
+	  if (this.puzzle !== null) {
+		  title = title + ", " + this.describePuzzle();
+	  }
+	  if (this.optimalLength != -1 && solved) {
+		  result = result + ", " + (this.moves.length - this.optimalLength) + " over the shortest solution of " +
+			  this.optimalLength + " moves";
+	  } else if (this.optimalLength != -1) {
+		  result = result + ", the shortest solution has " + this.optimalLength + " moves";
+	  }
+	  return title + "\n" + result;
+  }
+
+  /*
+   * Cancel the solving timer.
+   */
+  cancelSolvingTimer() {
+	  clearTimeout(this.solvingTimer);
+  }
+
+  /*
+   * Stop both the solving on the page and in the background.
+   */
+  stopSolving() {
+	  this.cancelSolvingTimer();
+	  this.solver.stopSolving();
+	  this.backgroundSolver.stopSolving();
+  }
+
+  animateSolution() {
 	  // Start animating if there is a solution
+	  this.solutionAnimator.setSpeed(this.solvingSpeedInMs);
 	  if (this.solutionAnimator.animateSolution()) {
-		  this.cancelSolvingTimer();
-		  this.solver.stopSolving();
+		  this.stopSolving();
+		  this.clearHint();
+	  }
+  }
+
+  /*
+   * Play the solution forwards (1) or backwards (-1) from the step shown, or
+   * pause if already playing to that direction.
+   */
+  playSolution(theStep) {
+	  let animator = this.solutionAnimator;
+
+	  if (animator.isAnimating() && animator.getPlayStep() == theStep) {
+		  animator.stopAnimating();
+		  return;
+	  }
+	  animator.setSpeed(this.solvingSpeedInMs);
+	  if (animator.play(theStep)) {
+		  this.stopSolving();
+		  this.clearHint();
+	  }
+  }
+
+  /*
+   * Pause the solution and show the step the given number of steps forwards
+   * (or backwards if negative) from the step shown.
+   */
+  stepSolution(theDelta) {
+	  this.showSolutionStep(this.solutionAnimator.getStepIndex() + theDelta);
+  }
+
+  /*
+   * Pause the solution and show the board after the given number of moves.
+   */
+  showSolutionStep(theIndex) {
+	  if (this.solutionAnimator.getStepCount() > 0) {
+		  this.stopSolving();
+		  this.clearHint();
+		  this.solutionAnimator.stopAnimating();
+		  this.solutionAnimator.showStep(theIndex);
 	  }
   }
 
@@ -567,67 +1609,262 @@ class NPuzzle {
 
       // Did we find the solution
       if (result.finished) {
-    	  // Yes, save the start board and the solution board so we can animate the solution
-    	  this.solutionAnimator = new SolutionAnimator(this.board, currentBoard, this.view);
-    	  this.board = new Board(null, this.defaultValues, "");
-
-        // Inform UI that we are finished and stop the Solver
-        this.fireChangeEvent("finished", 0, this.solutionAnimator.getSolutionString());
-        this.view.setBoard(this.board);
+        this.searchView.finishSearch(currentBoard);
+        this.solvingFinished(currentBoard);
         this.solver.stopSolving();
-      } else if (this.solver.getFrontierLength() > 0) {
+      } else if (currentBoard !== null) {
     	  // We didn't find the solution and there are still positions to check
     	  // Update UI and reset the timer
+        this.searchView.addChecked(currentBoard);
         this.view.setBoard(currentBoard);
-        this.fireChangeEvent("changed", currentBoard.getTotalCost(), "");
+        this.fireChangeEvent("changed", this.solver.getCost(currentBoard), "");
         this.solvingTimer = setTimeout(this.oneCheck.bind(this), this.solvingSpeedInMs);
       }
     }
   }
 
   /*
-   * User selected new size of board, new show default board
+   * The solution was found, save the start board and the solution board so we
+   * can animate the solution and inform UI that we are finished. The board
+   * is put back to the start of the solution.
+   */
+  solvingFinished(theSolution) {
+	  this.setSolution(this.board, theSolution);
+	  // The animator keeps the start board, moving the tiles changes this.board
+	  this.board = this.createBoard(this.board.getValues());
+
+	  this.fireChangeEvent("finished", 0, this.solutionAnimator.getSolutionString());
+	  this.view.setBoard(this.board);
+	  this.startPlay();
+  }
+
+  /*
+   * Stop the animation and use the solution from the start board to the
+   * solution board from now on.
+   */
+  setSolution(theStart, theSolution) {
+	  this.solutionAnimator.stopAnimating();
+	  this.solutionAnimator = new SolutionAnimator(theStart, theSolution, this.view);
+	  this.solutionAnimator.updateView();
+  }
+
+  /*
+   * Create the solution boards from the start board by the moves and return
+   * the last one.
+   */
+  createSolution(theStart, theMoves) {
+	  let solution = theStart;
+	  for (let i = 0; i < theMoves.length; i++) {
+		  solution = solution.createChild(theMoves[i], solution.positionTowards(theMoves[i]));
+	  }
+	  return solution;
+  }
+
+  /*
+   * Handle the messages from the BackgroundSolver.
+   */
+  backgroundMessage(theMessage) {
+	  if (theMessage.type == "progress") {
+		  // Show the board checked last
+		  this.view.setBoard(this.createBoard(theMessage.values));
+		  this.fireChangeEvent("changed", theMessage.distance, "");
+	  } else if (theMessage.type == "finished") {
+		  this.solvingFinished(this.createSolution(this.board, theMessage.moves));
+	  } else if (theMessage.type == "unsolvable") {
+		  this.fireChangeEvent("unsolvable", 0, "");
+	  } else if (theMessage.type == "error") {
+		  this.fireChangeEvent("error", 0, "", theMessage.message);
+	  }
+  }
+
+  /*
+   * User selected new number of columns and rows, new show default board
+   */
+  boardSizeChanged(theWidth, theHeight) {
+    this.stopSolving();
+    this.width = theWidth;
+    this.height = theHeight;
+    this.defaultValues = this.createValues();
+    this.board = this.createBoard(this.defaultValues);
+    this.setSolution(this.board, this.board);
+
+    // UI needs to be updated completely
+    this.view.buildContent(this.board);
+    this.view.setBoard(this.board);
+    this.view.resetState();
+    this.setPuzzle(null);
+    this.startPlay();
+    this.saveSettings();
+  }
+
+  /*
+   * User selected new goal, show its solved board. The board is built anew as
+   * when the size changes.
+   */
+  goalChanged(theGoal) {
+    this.goal = theGoal;
+    this.boardSizeChanged(this.width, this.height);
+  }
+
+  /*
+   * Load the position from the text, see PositionFormat. A solution given
+   * with the position can be animated. Returns false and tells the UI the
+   * reason if the position is not valid or can't be solved.
+   */
+  loadPosition(theText) {
+	  let position = null;
+
+	  try {
+		  position = PositionFormat.parse(theText, 0, 0, this.goal);
+	  } catch (error) {
+		  this.fireChangeEvent("error", 0, "", error.message);
+		  return false;
+	  }
+
+	  let board = position.board;
+	  if (!board.isSolvable()) {
+		  this.fireChangeEvent("error", 0, "", "This board can not be solved");
+		  return false;
+	  }
+
+	  if (board.getWidth() != this.width || board.getHeight() != this.height || board.getGoal().name != this.goal) {
+		  this.goal = board.getGoal().name;
+		  this.boardSizeChanged(board.getWidth(), board.getHeight());
+	  }
+	  this.stopSolving();
+	  // The animator keeps the start board, moving the tiles changes this.board
+	  this.setSolution(board, this.createSolution(board, position.moves));
+	  this.board = this.createBoard(board.getValues());
+	  this.view.setBoard(this.board);
+	  this.setPuzzle(null);
+	  this.startPlay();
+	  this.fireChangeEvent("loaded", this.board.getEstimatedDistance(), this.solutionAnimator.getSolutionString());
+	  return true;
+  }
+
+  /*
+   * Check the moves, in either notation of MoveNotation, solve the current
+   * board. If they do, they are the solution to play from now on. Returns
+   * false and tells the UI why if they don't.
+   */
+  checkMoves(theText) {
+	  let moves = null;
+
+	  try {
+		  moves = MoveNotation.parse(theText);
+	  } catch (error) {
+		  this.fireChangeEvent("error", 0, "", error.message);
+		  return false;
+	  }
+	  if (moves.length === 0) {
+		  this.fireChangeEvent("error", 0, "", "No moves given");
+		  return false;
+	  }
+
+	  this.stopSolving();
+	  let check = MoveNotation.verify(this.board, moves);
+	  if (!check.solved) {
+		  this.view.setBoard(this.board);
+		  this.fireChangeEvent("error", 0, "", check.message);
+		  return false;
+	  }
+
+	  this.setSolution(this.board, this.createSolution(this.board, moves));
+	  // The animator keeps the start board, moving the tiles changes this.board
+	  this.board = this.createBoard(this.board.getValues());
+	  this.view.setBoard(this.board);
+
+	  let message = "The " + moves.length + " moves solve the board";
+	  // The shortest solution is known for the board the play started from
+	  if (this.optimalLength != -1 && this.moves.length === 0) {
+		  message = message + ", the shortest solution has " + this.optimalLength;
+	  }
+	  this.fireChangeEvent("verified", 0, this.solutionAnimator.getSolutionString(), message);
+	  return true;
+  }
+
+  /*
+   * Return the position as "text", "json" or "url", see PositionFormat. With
+   * a solution the start of the solution and the moves are given, otherwise
+   * the current board.
+   */
+  exportPosition(theFormat) {
+	  let moves = this.solutionAnimator.getSolutionMoves();
+	  let board = (moves.length > 0) ? this.solutionAnimator.getSolutionStart() : this.board;
+
+	  if (theFormat == "url") {
+		  return window.location.href.split("#")[0] + "#" + PositionFormat.format(board, moves, "hash");
+	  }
+	  return PositionFormat.format(board, moves, theFormat);
+  }
+
+  /*
+   * User selected new search algorithm, stop solving and use it from now on
+   */
+  algorithmChanged(theAlgorithm) {
+    this.stopSolving();
+    this.algorithm = theAlgorithm;
+    this.solver = Solver.create(theAlgorithm, this.heuristic);
+    this.view.resetState();
+    this.saveSettings();
+  }
+
+  /*
+   * User selected new heuristic, stop solving and use it from now on
    */
-  boardSizeChanged(theSize) {
-    this.solver.stopSolving();
-    this.cancelSolvingTimer();
-    this.boardSize = theSize;
-    this.defaultValues = this.createValues(theSize);
-    this.board = new Board(null, this.defaultValues, "");
-	this.solutionAnimator.stopAnimating();
-	this.solutionAnimator = new SolutionAnimator(this.board, this.board, this.view);
+  heuristicChanged(theHeuristic) {
+    this.stopSolving();
+    this.heuristic = theHeuristic;
+    this.solver.setHeuristic(theHeuristic);
+    this.view.resetState();
+    this.saveSettings();
+  }
 
-    // UI needs to be updated completely
-    this.view.buildContent(this.board);
-    this.view.setBoard(this.board);
+  /*
+   * User selected what the keys move, "blank" or "tile"
+   */
+  keyOrientationChanged(theOrientation) {
+    this.keyOrientation = theOrientation;
+    this.saveSettings();
+  }
+
+  /*
+   * User selected new solving mode, "visual" or "background"
+   */
+  solvingModeChanged(theMode) {
+    this.stopSolving();
+    this.solvingMode = theMode;
     this.view.resetState();
+    this.saveSettings();
   }
 }
 
 
 /*
- * Class for animating the solution
+ * Class for playing the solution: forwards and backwards, step by step or
+ * with a timer, from any step.
  */
 class SolutionAnimator {
 
     constructor(solutionStart, solutionSolved, view) {
     	this.view = view;
-    	this.board = null;
         this.lastSolvedStart = solutionStart;
         this.lastSolvedSolution = solutionSolved;
-        this.solutionSteps = [];
         this.animateTimer = -1;
-        this.solutionString = "";
         this.animating = false;
+        // The step of the timer, 1 forwards and -1 backwards
+        this.playStep = 1;
+        this.speedInMs = 800;
 
-        // Create a string representing the solution ("Up", "Up", "Left", etc.)
-        this.solutionString = solutionSolved.direction;
-        let currentBoard = solutionSolved.parent;
-
-        while (currentBoard !== null && currentBoard.parent !== null) {
-        	this.solutionString = currentBoard.direction + ", " + this.solutionString;
-          currentBoard = currentBoard.parent;
+        // The boards from the start to the solution and the one shown
+        this.solutionSteps = [];
+        this.stepIndex = 0;
+        for (let currentBoard = solutionSolved; currentBoard !== null; currentBoard = currentBoard.parent) {
+        	this.solutionSteps.unshift(currentBoard);
         }
+
+        // Create a string representing the solution ("Up", "Up", "Left", etc.)
+        this.solutionString = MoveNotation.format(solutionSolved.getDirections(), "verbose");
     }
 
     /*
@@ -637,62 +1874,669 @@ class SolutionAnimator {
     	return this.solutionString;
     }
 
+    /*
+     * Return the moves of the solution, empty if there is no solution.
+     */
+    getSolutionMoves() {
+    	return this.lastSolvedSolution.getDirections();
+    }
+
+    /*
+     * Return the board the solution starts from.
+     */
+    getSolutionStart() {
+    	return this.lastSolvedStart;
+    }
+
+    /*
+     * Return the number of moves in the solution.
+     */
+    getStepCount() {
+    	return this.solutionSteps.length - 1;
+    }
+
+    /*
+     * Return the number of moves done on the board shown.
+     */
+    getStepIndex() {
+    	return this.stepIndex;
+    }
+
+    /*
+     * Return the step of the timer, 1 forwards and -1 backwards.
+     */
+    getPlayStep() {
+    	return this.playStep;
+    }
+
+    /*
+     * Set the time between the steps.
+     */
+    setSpeed(theSpeedInMs) {
+    	this.speedInMs = theSpeedInMs;
+    }
+
+    /*
+     * Return true while the solution is animated.
+     */
+    isAnimating() {
+    	return this.animating;
+    }
+
     /*
      * Stop the animation.
      */
     stopAnimating() {
     	this.animating = false;
     	clearTimeout(this.animateTimer);
+    	this.updateView();
+    }
+
+    /*
+     * Show the board after the given number of moves, limited to the
+     * solution.
+     */
+    showStep(theIndex) {
+    	this.stepIndex = Math.max(0, Math.min(this.getStepCount(), theIndex));
+    	this.view.setBoard(this.solutionSteps[this.stepIndex]);
+    	this.updateView();
+    }
+
+    /*
+     * Tell the view the step shown and if playing.
+     */
+    updateView() {
+    	this.view.showSolutionStep(this.stepIndex, this.getStepCount(), this.animating);
+    }
+
+  /*
+   * Start animating the solution from the start.
+   */
+  animateSolution() {
+	// Is there is a solution to show
+	if (this.getStepCount() == 0) {
+		return false;
+	}
+
+	this.stopAnimating();
+	this.showStep(0);
+	return this.play(1);
+  }
+
+  /*
+   * Start animating the solution forwards (1) or backwards (-1) from the
+   * step shown, from the other end if there are no steps left. Returns false
+   * if there is no solution.
+   */
+  play(theStep) {
+	  if (this.getStepCount() == 0) {
+		  return false;
+	  }
+
+	  this.stopAnimating();
+	  this.playStep = theStep;
+	  if (theStep > 0 && this.stepIndex == this.getStepCount()) {
+		  this.showStep(0);
+	  } else if (theStep < 0 && this.stepIndex == 0) {
+		  this.showStep(this.getStepCount());
+	  }
+
+	  this.animating = true;
+	  this.animateTimer = setTimeout(this.animateOneStep.bind(this), this.speedInMs);
+	  this.updateView();
+	  return true;
+  }
+
+  /*
+   * Show one solutions step and reset the timer
+   */
+  animateOneStep() {
+	  if (this.animating) {
+		    let nextIndex = this.stepIndex + this.playStep;
+
+		    // Stop at the last step to this direction
+		    if (nextIndex <= 0 || nextIndex >= this.getStepCount()) {
+		    	this.animating = false;
+		    } else {
+		    	this.animateTimer = setTimeout(this.animateOneStep.bind(this), this.speedInMs);
+		    }
+		    this.showStep(nextIndex);
+	  }
+  }
+}
+
+
+/*
+ * Panel showing the search of the step by step solving mode: the boards to
+ * be checked next with their g (moves so far), h (heuristic distance) and f
+ * (g + h) values, a histogram of the f values of the frontier, a chart of
+ * the f values of the checked boards and a tree of the checked boards with
+ * the solution path highlighted.
+ */
+class SearchView {
+  constructor() {
+    // The checked boards in the order of checking, for the tree
+    this.checkedBoards = [];
+    // [number of checked boards, f] of the checked boards, for the chart
+    this.samples = [];
+    this.solution = null;
+    this.solver = null;
+    this.lastDrawTime = 0;
+
+    for (let id of ["showSearchPanel", "showSearchTree"]) {
+      document.getElementById(id).addEventListener('change', this, false);
+    }
+    document.getElementById("treeZoom").addEventListener('input', this, false);
+  }
+
+  /*
+   * The number of the boards to be checked next shown
+   */
+  static nextBoardCount() {
+    return 10;
+  }
+
+  /*
+   * The most boards shown in the tree
+   */
+  static treeSize() {
+    return 300;
+  }
+
+  /*
+   * The most points in the chart, every other is dropped when there are more
+   */
+  static sampleCount() {
+    return 400;
+  }
+
+  /*
+   * The shortest time between the updates in milliseconds
+   */
+  static drawInterval() {
+    return 200;
+  }
+
+  /*
+   * Event handler
+   */
+  handleEvent(event) {
+    if (event.target.id == "treeZoom") {
+      document.getElementById("searchTree").style.fontSize = event.target.value + "%";
+    } else {
+      this.draw();
+    }
+  }
+
+  /*
+   * Return true if the panel is shown
+   */
+  isVisible() {
+    return document.getElementById("showSearchPanel").checked;
+  }
+
+  /*
+   * Forget the earlier search, the given solver starts a new one
+   */
+  startSearch(theSolver) {
+    this.checkedBoards = [];
+    this.samples = [];
+    this.solution = null;
+    this.solver = theSolver;
+    this.showMessage("");
+    this.draw();
+  }
+
+  /*
+   * The solver checked the board, update now and then
+   */
+  addChecked(theBoard) {
+    if (this.checkedBoards.length < SearchView.treeSize()) {
+      this.checkedBoards.push(theBoard);
+    }
+
+    this.samples.push([this.solver.getCheckedLength(), theBoard.getTotalCost()]);
+    if (this.samples.length > SearchView.sampleCount()) {
+      this.samples = this.samples.filter((sample, i) => i % 2 === 0);
+    }
+
+    if (Date.now() - this.lastDrawTime >= SearchView.drawInterval()) {
+      this.draw();
+    }
+  }
+
+  /*
+   * The solution was found, show the end state of the search
+   */
+  finishSearch(theSolution) {
+    this.solution = theSolution;
+    if (this.checkedBoards.length < SearchView.treeSize()) {
+      this.checkedBoards.push(theSolution);
+    }
+    this.draw();
+  }
+
+  /*
+   * Show the message instead of the search, as when solving in the background
+   */
+  showMessage(theMessage) {
+    document.getElementById("searchMessage").textContent = theMessage;
+  }
+
+  /*
+   * Update the whole panel
+   */
+  draw() {
+    let panel = document.getElementById("searchPanel");
+
+    this.lastDrawTime = Date.now();
+    panel.hidden = !this.isVisible();
+    if (panel.hidden || this.solver === null) {
+      return;
+    }
+
+    this.drawNextBoards(this.solver.getNextBoards(SearchView.nextBoardCount()));
+    this.drawHistogram(this.solver.getFrontierBoards());
+    this.drawChart();
+
+    let tree = document.getElementById("searchTree");
+    tree.hidden = !document.getElementById("showSearchTree").checked;
+    if (!tree.hidden) {
+      this.drawTree(tree);
+    }
+  }
+
+  /*
+   * Show the boards to be checked next with their last move, g, h and f
+   */
+  drawNextBoards(theBoards) {
+    let content = "<tr><th>Next</th><th>Move</th><th>g</th><th>h</th><th>f</th></tr>";
+
+    for (let i = 0; i < theBoards.length; i++) {
+      let board = theBoards[i];
+      content = content + "<tr><td>" + (i + 1) + "</td><td>" + (board.direction || "Start") + "</td><td>" +
+        board.depth + "</td><td>" + board.getEstimatedDistance() + "</td><td>" + board.getTotalCost() + "</td></tr>";
+    }
+    document.getElementById("nextBoards").innerHTML = content;
+  }
+
+  /*
+   * Show the number of frontier boards with each f value as bars
+   */
+  drawHistogram(theBoards) {
+    let counts = new Map();
+    let minCost = Infinity;
+    let maxCost = -Infinity;
+    let maxCount = 0;
+
+    for (let board of theBoards) {
+      let cost = board.getTotalCost();
+      counts.set(cost, (counts.get(cost) || 0) + 1);
+      minCost = Math.min(minCost, cost);
+      maxCost = Math.max(maxCost, cost);
+    }
+    counts.forEach((count) => maxCount = Math.max(maxCount, count));
+
+    let content = "";
+    if (theBoards.length > 0) {
+      let barWidth = 200 / (maxCost - minCost + 1);
+      for (let cost = minCost; cost <= maxCost; cost++) {
+        let height = 85 * (counts.get(cost) || 0) / maxCount;
+        content = content + '<rect class="bar" x="' + ((cost - minCost) * barWidth) + '" y="' + (85 - height) +
+          '" width="' + (barWidth * 0.9) + '" height="' + height + '"><title>f = ' + cost + ": " +
+          (counts.get(cost) || 0) + "</title></rect>";
+      }
+      content = content + '<text x="0" y="98">f ' + minCost + "</text>" +
+        '<text x="200" y="98" text-anchor="end">' + maxCost + "</text>";
+    }
+    document.getElementById("histogram").innerHTML = content;
+  }
+
+  /*
+   * Show the f values of the checked boards by the number of checked boards
+   */
+  drawChart() {
+    let content = "";
+
+    if (this.samples.length > 0) {
+      let maxChecked = Math.max(1, this.samples[this.samples.length - 1][0]);
+      let minCost = Infinity;
+      let maxCost = -Infinity;
+      for (let sample of this.samples) {
+        minCost = Math.min(minCost, sample[1]);
+        maxCost = Math.max(maxCost, sample[1]);
+      }
+      let costRange = Math.max(1, maxCost - minCost);
+
+      let points = this.samples.map((sample) =>
+        (200 * sample[0] / maxChecked).toFixed(1) + "," + (85 - 80 * (sample[1] - minCost) / costRange).toFixed(1));
+      content = '<polyline class="line" points="' + points.join(" ") + '"/>' +
+        '<text x="0" y="10">f ' + maxCost + "</text>" +
+        '<text x="0" y="98">' + minCost + "</text>" +
+        '<text x="200" y="98" text-anchor="end">' + maxChecked + " checked</text>";
+    }
+    document.getElementById("chart").innerHTML = content;
+  }
+
+  /*
+   * Show the checked boards as a tree from the start board, the solution
+   * path highlighted
+   */
+  drawTree(theTree) {
+    let children = new Map();
+    let onPath = new Set();
+
+    for (let board = this.solution; board !== null; board = board.parent) {
+      onPath.add(board);
+    }
+    for (let board of this.checkedBoards) {
+      if (board.parent !== null) {
+        if (!children.has(board.parent)) {
+          children.set(board.parent, []);
+        }
+        children.get(board.parent).push(board);
+      }
+    }
+
+    let drawNode = (theBoard) => {
+      let content = '<li><span class="node' + (onPath.has(theBoard) ? " path" : "") + '">' +
+        (theBoard.direction || "Start") + " f=" + theBoard.getTotalCost() + "</span>";
+      if (children.has(theBoard)) {
+        content = content + "<ul>" + children.get(theBoard).map(drawNode).join("") + "</ul>";
+      }
+      return content + "</li>";
+    };
+    theTree.innerHTML = (this.checkedBoards.length > 0) ? "<ul>" + drawNode(this.checkedBoards[0]) + "</ul>" : "";
+  }
+}
+
+
+/*
+ * Runs several algorithm and heuristic configurations one after another on
+ * the same board in the background and keeps a result for each: the
+ * solution length, the nodes expanded, the peak frontier and stored lengths
+ * and the time used. A configuration running over the time limit is stopped.
+ * The listener is called with the results whenever a configuration starts or
+ * ends.
+ */
+class Comparison {
+  constructor(theListener) {
+    this.listener = theListener;
+    this.solver = new BackgroundSolver(this.solverMessage.bind(this));
+    this.board = null;
+    // The configurations waiting to run and the one running, null if none
+    this.configurations = [];
+    this.current = null;
+    // The last progress of the running configuration
+    this.progress = null;
+    this.timeLimit = Comparison.timeLimit();
+    this.timer = -1;
+    this.results = [];
+  }
+
+  /*
+   * The default time limit of one configuration in milliseconds
+   */
+  static timeLimit() {
+    return 30000;
+  }
+
+  /*
+   * Return true if a configuration is running
+   */
+  isRunning() {
+    return this.current !== null;
+  }
+
+  /*
+   * Return the running configuration and the number of configurations left
+   * after it
+   */
+  getCurrent() {
+    return { configuration: this.current, left: this.configurations.length };
+  }
+
+  /*
+   * Return the results so far, { algorithm, heuristic, status, length,
+   * expanded, peakFrontier, peakStored, time } in the order of running.
+   * The length is -1 when there is no solution.
+   */
+  getResults() {
+    return this.results;
+  }
+
+  /*
+   * Run the configurations, { algorithm, heuristic } by name, on a copy of
+   * the board. The heuristic of the breadth-first searches is "". Stops the
+   * earlier run.
+   */
+  start(theBoard, theConfigurations, theTimeLimitInMs) {
+    this.stop();
+    this.board = new Board(null, theBoard.getValues(), "", theBoard.getWidth(), theBoard.getHeight(),
+      theBoard.getGoal().name);
+    this.configurations = theConfigurations.slice(0);
+    this.timeLimit = theTimeLimitInMs;
+    this.results = [];
+    this.runNext();
+  }
+
+  /*
+   * Stop running, the results so far are kept
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.solver.stopSolving();
+    this.configurations = [];
+    this.current = null;
+  }
+
+  /*
+   * Start the next configuration, or tell the listener all is done
+   */
+  runNext() {
+    if (this.configurations.length === 0) {
+      this.current = null;
+      this.listener(this.results);
+      return;
+    }
+
+    this.current = this.configurations.shift();
+    this.progress = { checked: 0, peakFrontier: 0, peakStored: 0, time: 0 };
+    let heuristic = this.current.heuristic || "manhattan";
+
+    if (!Board.getHeuristic(heuristic).isAvailable(this.board)) {
+      this.addResult("not available", -1);
+    } else if (!this.solver.startSolving(this.board, this.current.algorithm, heuristic)) {
+      this.addResult("unsolvable", -1);
+    } else {
+      this.timer = setTimeout(this.timeOut.bind(this), this.timeLimit);
+      this.listener(this.results);
+    }
+  }
+
+  /*
+   * Keep the result of the running configuration and start the next one
+   */
+  addResult(theStatus, theLength) {
+    clearTimeout(this.timer);
+    this.results.push({
+      algorithm: this.current.algorithm,
+      heuristic: this.current.heuristic,
+      status: theStatus,
+      length: theLength,
+      expanded: this.progress.checked,
+      peakFrontier: this.progress.peakFrontier,
+      peakStored: this.progress.peakStored,
+      time: this.progress.time
+    });
+    this.runNext();
+  }
+
+  /*
+   * The running configuration used all its time
+   */
+  timeOut() {
+    this.solver.stopSolving();
+    this.addResult("timed out", -1);
+  }
+
+  /*
+   * Handle the messages of the background solver
+   */
+  solverMessage(theMessage) {
+    if (theMessage.checked !== undefined) {
+      this.progress = theMessage;
+    }
+
+    if (theMessage.type == "finished") {
+      this.addResult("solved", theMessage.moves.length);
+    } else if (theMessage.type == "unsolvable") {
+      this.addResult("unsolvable", -1);
+    } else if (theMessage.type == "error") {
+      this.addResult(theMessage.message, -1);
+    }
+  }
+}
+
+
+/*
+ * Panel comparing the chosen algorithms and heuristics on the current board,
+ * which can be a loaded position. Shows the results in a table which can be
+ * downloaded as CSV.
+ */
+class ComparisonView {
+  constructor(thePuzzle) {
+    this.puzzle = thePuzzle;
+    this.comparison = new Comparison(this.draw.bind(this));
+
+    document.getElementById("showComparison").addEventListener('change', this, false);
+    document.getElementById("compare").addEventListener('click', this, false);
+    document.getElementById("stopComparison").addEventListener('click', this, false);
+  }
+
+  /*
+   * Event handler
+   */
+  handleEvent(event) {
+    if (event.target.id == "compare") {
+      this.compare();
+    } else if (event.target.id == "stopComparison") {
+      this.comparison.stop();
+      this.draw();
+    } else {
+      this.draw();
     }
-    
+  }
+
   /*
-   * Start animating the solution.
+   * Return the checked configurations, every checked algorithm with every
+   * checked heuristic. The breadth-first searches don't use a heuristic.
    */
-  animateSolution() {
-	// Set the start position
-	this.board = this.lastSolvedStart;
+  getConfigurations() {
+    let checked = (theName) => Array.from(document.querySelectorAll('input[name="' + theName + '"]:checked'),
+      (input) => input.value);
+    let heuristics = checked("compareHeuristic");
+    let configurations = [];
+
+    for (let algorithm of checked("compareAlgorithm")) {
+      if (algorithm == "bfs" || algorithm == "bibfs") {
+        configurations.push({ algorithm: algorithm, heuristic: "" });
+      } else {
+        heuristics.forEach((heuristic) => configurations.push({ algorithm: algorithm, heuristic: heuristic }));
+      }
+    }
+    return configurations;
+  }
 
-	// Add last step to the solution steps
-	this.solutionSteps = [];
-	this.solutionSteps.push(this.lastSolvedSolution);
+  /*
+   * Start comparing the checked configurations on the current board
+   */
+  compare() {
+    let configurations = this.getConfigurations();
+    let seconds = parseInt(document.getElementById("comparisonTimeLimit").value, 10);
 
-	let currentBoard = this.lastSolvedSolution.parent;
+    if (configurations.length === 0) {
+      document.getElementById("comparisonMessage").textContent = "Check an algorithm and a heuristic to compare";
+      return;
+    }
+    if (isNaN(seconds) || seconds < 1) {
+      seconds = Comparison.timeLimit() / 1000;
+    }
+    this.comparison.start(this.puzzle.board, configurations, seconds * 1000);
+  }
 
-	// Iterate through parents and add steps, the first step will be last on the list
-	while (currentBoard !== null && currentBoard.parent !== null) {
-	  this.solutionSteps.push(currentBoard);
-	  currentBoard = currentBoard.parent;
-	}
+  /*
+   * Return the label of the checkbox with the given name and value
+   */
+  getLabel(theName, theValue) {
+    let input = document.querySelector('input[name="' + theName + '"][value="' + theValue + '"]');
+    return (input !== null) ? input.parentNode.textContent.trim() : theValue;
+  }
 
-	// Is there is a solution to show
-	if (this.solutionSteps.length > 1) {
-		// Set timeout to animate and show board
-		this.animateTimer = setTimeout(this.animateOneStep.bind(this), 800);
-		this.view.setBoard(this.board);
-		this.animating = true;
-		return true;
-	}
+  /*
+   * Return the results as rows of cell texts, the titles first
+   */
+  getRows() {
+    let rows = [["Algorithm", "Heuristic", "Status", "Solution length", "Nodes expanded", "Peak frontier",
+      "Peak states", "Time (ms)"]];
+
+    for (let result of this.comparison.getResults()) {
+      rows.push([
+        this.getLabel("compareAlgorithm", result.algorithm),
+        (result.heuristic === "") ? "" : this.getLabel("compareHeuristic", result.heuristic),
+        result.status,
+        (result.length < 0) ? "" : String(result.length),
+        String(result.expanded),
+        String(result.peakFrontier),
+        String(result.peakStored),
+        String(result.time)
+      ]);
+    }
+    return rows;
+  }
 
-	return false;
+  /*
+   * Return the rows as CSV text, quoting the cells when needed
+   */
+  formatCsv(theRows) {
+    let quote = (theCell) => /[",\n]/.test(theCell) ? '"' + theCell.replace(/"/g, '""') + '"' : theCell;
+    return theRows.map((row) => row.map(quote).join(",")).join("\n") + "\n";
   }
 
   /*
-   * Show one solutions step and reset the timer
+   * Update the whole panel
    */
-  animateOneStep() {
-	  if (this.animating) {
-		    let solutionStep = null;
-
-		    // Do we have more steps
-		    if (this.solutionSteps.length > 0) {
-		    	// Yes, show it and reset timer
-		      solutionStep = this.solutionSteps.pop();
-		      this.view.setBoard(solutionStep);
-		      this.animateTimer = setTimeout(this.animateOneStep.bind(this), 800);
-		    } else {
-		    	this.animating = false;
-		    }
-	  }
+  draw() {
+    let panel = document.getElementById("comparisonPanel");
+    let message = "";
+
+    panel.hidden = !document.getElementById("showComparison").checked;
+
+    if (this.comparison.isRunning()) {
+      let current = this.comparison.getCurrent();
+      let heuristic = current.configuration.heuristic;
+      message = "Running " + this.getLabel("compareAlgorithm", current.configuration.algorithm) +
+        ((heuristic === "") ? "" : " with " + this.getLabel("compareHeuristic", heuristic)) +
+        ", " + current.left + " more to run";
+    }
+    document.getElementById("comparisonMessage").textContent = message;
+
+    let rows = this.getRows();
+    let table = document.getElementById("comparisonTable");
+    table.textContent = "";
+    rows.forEach((row, i) => {
+      let tr = document.createElement("tr");
+      for (let cell of row) {
+        let element = document.createElement((i === 0) ? "th" : "td");
+        element.textContent = cell;
+        tr.appendChild(element);
+      }
+      table.appendChild(tr);
+    });
+
+    let link = document.getElementById("comparisonCsv");
+    link.hidden = rows.length < 2;
+    link.href = "data:text/csv;charset=utf-8," + encodeURIComponent(this.formatCsv(rows));
   }
 }
 
@@ -701,23 +2545,98 @@ class SolutionAnimator {
  * All loaded, create controller and set all things up
  */
 window.onload = function() {
-  npuzzle = new NPuzzle(9);
+  npuzzle = new NPuzzle(3, 3, new GameStorage(GameStorage.localStorage()));
+  // Position shared as URL
+  if (window.location.hash.length > 1) {
+    npuzzle.loadPosition(window.location.hash);
+  }
 };
 
 
 /*
  * Helper function to handle the board change user action.
- * Inform controller about the size change.
+ * Keep the width and height between 2 and 8 and inform controller about the
+ * size change.
  */
 function BoardSizeSelection() {
-  let size= document.getElementById("boardSizeSelection").value;
-  if (size == "3 * 3") {
-    npuzzle.boardSizeChanged(9);
-  } else if (size == "4 * 4") {
-    npuzzle.boardSizeChanged(16);
-  } else if (size == "5 * 5"){
-    npuzzle.boardSizeChanged(25);
+  let width = BoardSideSelection("boardWidth");
+  let height = BoardSideSelection("boardHeight");
+
+  if (width != npuzzle.width || height != npuzzle.height) {
+    npuzzle.boardSizeChanged(width, height);
+  }
+  // Change focus so the arrow keys work
+  document.getElementById("solve").focus();
+}
+
+
+/*
+ * Read the width or height from the given input, limit it to 2...8 and show
+ * the limited value.
+ */
+function BoardSideSelection(theId) {
+  let input = document.getElementById(theId);
+  let side = parseInt(input.value, 10);
+
+  if (isNaN(side)) {
+    side = 3;
   }
+  side = Math.min(8, Math.max(2, side));
+  input.value = side;
+  return side;
+}
+
+
+/*
+ * Helper function to handle the search algorithm change user action.
+ * Inform controller about the algorithm change.
+ */
+function AlgorithmSelection() {
+  npuzzle.algorithmChanged(document.getElementById("algorithmSelection").value);
+  // Change focus so the arrow keys work
+  document.getElementById("solve").focus();
+}
+
+
+/*
+ * Helper function to handle the heuristic change user action.
+ * Inform controller about the heuristic change.
+ */
+function HeuristicSelection() {
+  npuzzle.heuristicChanged(document.getElementById("heuristicSelection").value);
+  // Change focus so the arrow keys work
+  document.getElementById("solve").focus();
+}
+
+
+/*
+ * Helper function to handle the goal change user action.
+ * Inform controller about the goal change.
+ */
+function GoalSelection() {
+  npuzzle.goalChanged(document.getElementById("goalSelection").value);
+  // Change focus so the arrow keys work
+  document.getElementById("solve").focus();
+}
+
+
+/*
+ * Helper function to handle the key orientation change user action.
+ * Inform controller about the orientation change.
+ */
+function KeyOrientationSelection() {
+  npuzzle.keyOrientationChanged(document.getElementById("keyOrientationSelection").value);
+  // Change focus so the arrow keys work
+  document.getElementById("solve").focus();
+}
+
+
+/*
+ * Helper function to handle the solving mode change user action.
+ * Inform controller about the mode change.
+ */
+function SolvingModeSelection() {
+  npuzzle.solvingModeChanged(document.getElementById("solvingModeSelection").value);
   // Change focus so the arrow keys work
   document.getElementById("solve").focus();
 }
@@ -733,6 +2652,15 @@ class NPuzzleView {
 	 */
   constructor(thePuzzle, theBoard) {
     this.puzzle = thePuzzle;
+    // Where the touch started, for the swipes
+    this.touchStart = null;
+    // Position of the tile highlighted by the hint, -1 if none
+    this.hintPosition = -1;
+    // The URL of the picture on the tiles, null for numbers only
+    this.image = null;
+    // The tile face selected before "Own picture...", selected again if no
+    // file is picked
+    this.tileFace = "";
     this.buildContent(theBoard);
 
     document.getElementById("shuffle").addEventListener('click', this, false);
@@ -741,7 +2669,31 @@ class NPuzzleView {
     document.getElementById("slower").addEventListener('click', this, false);
     document.getElementById("faster").addEventListener('click', this, false);
     document.getElementById("solution").addEventListener('click', this, false);
+    document.getElementById("load").addEventListener('click', this, false);
+    document.getElementById("export").addEventListener('click', this, false);
+    document.getElementById("checkMoves").addEventListener('click', this, false);
+    document.getElementById("hint").addEventListener('click', this, false);
+    for (let id of ["playerStart", "playerBack", "playerReverse", "playerPlay", "playerForward", "playerEnd"]) {
+      document.getElementById(id).addEventListener('click', this, false);
+    }
+    document.getElementById("playerScrubber").addEventListener('input', this, false);
+    document.getElementById("undo").addEventListener('click', this, false);
+    document.getElementById("redo").addEventListener('click', this, false);
+    document.getElementById("clearData").addEventListener('click', this, false);
+    document.getElementById("playPuzzle").addEventListener('click', this, false);
+    document.getElementById("daily").addEventListener('click', this, false);
+    document.getElementById("share").addEventListener('click', this, false);
+    document.getElementById("board").addEventListener('click', this, false);
+    document.getElementById("board").addEventListener('touchstart', this, false);
+    document.getElementById("board").addEventListener('touchend', this, false);
+    document.getElementById("board").addEventListener('dragover', this, false);
+    document.getElementById("board").addEventListener('drop', this, false);
+    for (let id of ["tileFaceSelection", "imageFile", "showNumbers", "showPreview"]) {
+      document.getElementById(id).addEventListener('change', this, false);
+    }
+    document.getElementById("imageFile").addEventListener('cancel', this, false);
     document.addEventListener("keydown", this, false);
+    window.addEventListener("hashchange", this, false);
     document.addEventListener("board.change", this, false);
   }
 
@@ -756,7 +2708,7 @@ class NPuzzleView {
     	// Button handlers
       case "click":
         if (target.id == "shuffle") {
-          this.puzzle.shuffle();
+          this.puzzle.shuffle(this.getShuffleMode(), this.getShuffleMoveCount());
         } else if (target.id == "reset") {
           this.puzzle.reset();
         } else if (target.id == "solve") {
@@ -767,12 +2719,106 @@ class NPuzzleView {
           this.puzzle.faster();
         } else if (target.id == "solution") {
           this.puzzle.animateSolution();
+        } else if (target.id == "playerStart") {
+          this.puzzle.showSolutionStep(0);
+        } else if (target.id == "playerBack") {
+          this.puzzle.stepSolution(-1);
+        } else if (target.id == "playerReverse") {
+          this.puzzle.playSolution(-1);
+        } else if (target.id == "playerPlay") {
+          this.puzzle.playSolution(1);
+        } else if (target.id == "playerForward") {
+          this.puzzle.stepSolution(1);
+        } else if (target.id == "playerEnd") {
+          this.puzzle.showSolutionStep(Infinity);
+        } else if (target.id == "hint") {
+          this.puzzle.hint();
+        } else if (target.id == "undo") {
+          this.puzzle.undo();
+        } else if (target.id == "redo") {
+          this.puzzle.redo();
+        } else if (target.id == "clearData") {
+          this.puzzle.clearData();
+        } else if (target.id == "playPuzzle") {
+          this.puzzle.playPuzzle(document.getElementById("puzzleNumber").value, this.getShuffleMode(),
+            this.getShuffleMoveCount());
+        } else if (target.id == "daily") {
+          this.puzzle.dailyChallenge(new Date());
+        } else if (target.id == "share") {
+          this.showShareText(this.puzzle.getShareText());
+        } else if (target.id == "load") {
+          this.puzzle.loadPosition(document.getElementById("position").value);
+        } else if (target.id == "export") {
+          document.getElementById("position").value =
+            this.puzzle.exportPosition(document.getElementById("positionFormat").value);
+        } else if (target.id == "checkMoves") {
+          this.puzzle.checkMoves(document.getElementById("moves").value);
+        } else if (target.closest("#board .tile") !== null) {
+          // Slide the clicked tile towards the "0"
+          this.puzzle.moveTile(this.tilePosition(target.closest("#board .tile")));
+        }
+        break;
+
+        // The scrubber of the solution player moved
+      case "input":
+        this.puzzle.showSolutionStep(parseInt(target.value, 10));
+        break;
+
+        // Tile face handlers
+      case "change":
+        if (target.id == "tileFaceSelection") {
+          if (target.value == "file") {
+            // Wait for the image to be picked
+            document.getElementById("imageFile").click();
+          } else {
+            this.tileFace = target.value;
+            this.setTileImage((target.value === "") ? null : target.value);
+          }
+        } else if (target.id == "imageFile" && target.files.length > 0) {
+          this.readImageFile(target.files[0]);
+        } else if (target.id == "imageFile") {
+          this.restoreTileFace();
+        } else {
+          this.updateTileFaces();
+        }
+        break;
+
+        // The file dialog of "Own picture..." closed without a file
+      case "cancel":
+        this.restoreTileFace();
+        break;
+
+        // An image file dropped on the board
+      case "dragover":
+        event.preventDefault();
+        break;
+
+      case "drop":
+        event.preventDefault();
+        if (event.dataTransfer.files.length > 0) {
+          this.readImageFile(event.dataTransfer.files[0]);
         }
         break;
 
-        // Key handlers
+        // Touch handlers, a swipe moves the tile next to the "0"
+      case "touchstart":
+        this.touchStart = event.changedTouches[0];
+        break;
+
+      case "touchend":
+        this.readSwipe(event.changedTouches[0]);
+        break;
+
+        // Key handlers, the keys are for the text when writing to the inputs
       case "keydown":
-        this.puzzle.readKey(event);
+        if (target.tagName != "INPUT" && target.tagName != "TEXTAREA") {
+          this.puzzle.readKey(event);
+        }
+        break;
+
+        // A shared position opened in the same page
+      case "hashchange":
+        this.puzzle.loadPosition(window.location.hash);
         break;
 
         // Puzzle handlers
@@ -782,9 +2828,17 @@ class NPuzzleView {
         if (detail.reason == "reset"){
           this.resetState();
         } else if (detail.reason == "finished") {
-          this.updateFinished(detail.counter, detail.frontier, detail.solution);
+          this.updateFinished(detail.counter, detail.frontier, detail.directions, detail.solution);
         } else if (detail.reason == "changed") {
-          this.updateCounter(detail.counter, detail.frontier, detail.distance);
+          this.updateCounter(detail.counter, detail.frontier, detail.directions, detail.distance, detail.description);
+        } else if (detail.reason == "unsolvable") {
+          this.updateUnsolvable();
+        } else if (detail.reason == "error") {
+          this.updateError(detail.message);
+        } else if (detail.reason == "loaded") {
+          this.updateLoaded(detail.distance, detail.solution);
+        } else if (detail.reason == "verified") {
+          this.updateVerified(detail.message, detail.solution);
         }
         break;
 
@@ -793,85 +2847,438 @@ class NPuzzleView {
     }
   }
 
+  /*
+   * Show the moves played by hand, the time used and the shortest solution
+   * length if known (-1 if not), "unknown" if it was given up
+   */
+  updatePlay(theMoveCount, theSeconds, theOptimalLength, theOptimalUnknown, theSolved) {
+    let text = "";
+    if (theSolved) {
+      text = "Solved in " + theMoveCount + " moves / " + theSeconds + " seconds";
+    } else {
+      text = "Moves: " + theMoveCount + ", time: " + theSeconds + " s";
+    }
+    if (theOptimalLength >= 0) {
+      text = text + ", optimal: " + theOptimalLength + " moves";
+    } else if (theOptimalUnknown) {
+      text = text + ", optimal: unknown";
+    }
+    document.getElementById("play").textContent = text;
+  }
+
+  /*
+   * Show how the board was shuffled and its puzzle code, "" for none
+   */
+  updatePuzzle(theText, theCode) {
+    document.getElementById("puzzle").textContent = theText;
+    if (theCode !== "") {
+      document.getElementById("puzzleNumber").value = theCode;
+    }
+  }
+
+  /*
+   * Show the text to share selected, and copy it to the clipboard if the
+   * browser allows
+   */
+  showShareText(theText) {
+    let shareText = document.getElementById("shareText");
+
+    shareText.hidden = false;
+    shareText.value = theText;
+    shareText.select();
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(theText).catch(() => {
+        // Not allowed, the selected text can be copied by hand
+      });
+    }
+  }
+
+  /*
+   * Show the statistics of the games on the board size, see GameStorage
+   */
+  updateStatistics(theWidth, theHeight, theStatistics) {
+    let text = "";
+    if (theStatistics.played > 0) {
+      text = theWidth + " * " + theHeight + " games: " + theStatistics.played + " played, " +
+        theStatistics.solved + " solved";
+    }
+    if (theStatistics.solved > 0) {
+      text = text + ", best " + theStatistics.bestMoves + " moves, best time " + theStatistics.bestTime + " s";
+    }
+    if (theStatistics.optimalCount > 0) {
+      text = text + ", on average " + (theStatistics.overOptimal / theStatistics.optimalCount).toFixed(1) +
+        " moves over the shortest solution";
+    }
+    document.getElementById("statistics").textContent = text;
+  }
+
+  /*
+   * Select the option with the given value in the select with the given id.
+   * Returns false if there is no such option.
+   */
+  selectOption(theId, theValue) {
+    let select = document.getElementById(theId);
+
+    if (!Array.from(select.options).some((option) => option.value === theValue)) {
+      return false;
+    }
+    select.value = theValue;
+    return true;
+  }
+
+  /*
+   * Highlight the tile at the given position (-1 for none) and show the hint
+   * text
+   */
+  showHint(thePosition, theText) {
+    this.hintPosition = thePosition;
+    for (let tile of document.querySelectorAll("#board .tile")) {
+      tile.classList.toggle("hint", this.tilePosition(tile) == thePosition);
+    }
+    document.getElementById("hintText").textContent = theText;
+  }
+
+  /*
+   * Return true if the hint should tell the number of moves left
+   */
+  getShowHintDistance() {
+    return document.getElementById("hintDistance").checked;
+  }
+
+  /*
+   * Return the board position of the tile element
+   */
+  tilePosition(theTile) {
+    return parseInt(theTile.dataset.position, 10);
+  }
+
+  /*
+   * The touch ended, move the tile to the direction of the swipe if the
+   * touch moved far enough
+   */
+  readSwipe(theTouch) {
+    if (this.touchStart === null) {
+      return;
+    }
+
+    let dx = theTouch.clientX - this.touchStart.clientX;
+    let dy = theTouch.clientY - this.touchStart.clientY;
+    this.touchStart = null;
+
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < NPuzzleView.swipeDistance()) {
+      // A tap, handled as a click
+      return;
+    }
+    if (Math.abs(dx) > Math.abs(dy)) {
+      this.puzzle.moveTileTowards((dx > 0) ? "Right" : "Left");
+    } else {
+      this.puzzle.moveTileTowards((dy > 0) ? "Down" : "Up");
+    }
+  }
+
+  /*
+   * The shortest swipe in pixels
+   */
+  static swipeDistance() {
+    return 30;
+  }
+
   /*
    * Solving has been finished, show result
    */
-  updateFinished(theCheckedLength, theFrontierLength, theSolution) {
-    document.getElementById("counter").innerHTML =
-      "Solved by searching " + theCheckedLength + "/" + (theCheckedLength + theFrontierLength) + " boards";
-    document.getElementById("distance").innerHTML = theSolution;
+  updateFinished(theCheckedLength, theFrontierLength, theDirections, theSolution) {
+    document.getElementById("counter").textContent =
+      "Solved by searching " + theCheckedLength + "/" + (theCheckedLength + theFrontierLength) + " boards" +
+      this.formatDirections(theDirections);
+    this.showSolution(theSolution);
+  }
+
+  /*
+   * Return the counts of each side of a bidirectional search, as
+   * " (forward 10/25, backward 8/20)". Empty for the other searches.
+   */
+  formatDirections(theDirections) {
+    if (theDirections.length == 0) {
+      return "";
+    }
+    return " (" + theDirections.map((direction) =>
+      direction.name + " " + direction.checked + "/" + (direction.checked + direction.frontier)).join(", ") + ")";
+  }
+
+  /*
+   * Show the solution string, each move in its own element for highlighting
+   */
+  showSolution(theSolution) {
+    let moves = (theSolution === "") ? [] : theSolution.split(", ");
+    let distance = document.getElementById("distance");
+
+    // Built as elements, the moves may come from a loaded position
+    distance.textContent = "";
+    moves.forEach((move, i) => {
+      let span = document.createElement("span");
+      span.className = "move";
+      span.textContent = move;
+      if (i > 0) {
+        distance.appendChild(document.createTextNode(", "));
+      }
+      distance.appendChild(span);
+    });
+  }
+
+  /*
+   * Update the solution player: the scrubber, the play button and the
+   * highlight of the move done last. Hidden without a solution.
+   */
+  showSolutionStep(theIndex, theCount, thePlaying) {
+    let scrubber = document.getElementById("playerScrubber");
+
+    document.getElementById("player").hidden = (theCount == 0);
+    scrubber.max = theCount;
+    scrubber.value = theIndex;
+    document.getElementById("playerPlay").textContent = thePlaying ? "Pause" : "Play";
+
+    let moves = document.querySelectorAll("#distance .move");
+    for (let i = 0; i < moves.length; i++) {
+      moves[i].classList.toggle("current", i == theIndex - 1);
+    }
   }
 
   /*
    * One board checked, update the counts
    */
-  updateCounter(theCheckedLength, theFrontierLength, theDistance) {
-    document.getElementById("counter").innerHTML =
-      "Searching/waiting to be searched: " + theCheckedLength + "/" + (theCheckedLength + theFrontierLength);
+  updateCounter(theCheckedLength, theFrontierLength, theDirections, theDistance, theDescription) {
+    document.getElementById("counter").textContent =
+      "Searching/waiting to be searched: " + theCheckedLength + "/" + (theCheckedLength + theFrontierLength) +
+      this.formatDirections(theDirections);
     let extra = "";
     if (theDistance < 10) {
       extra = " ";
     }
-    document.getElementById("distance").innerHTML = "A* search algorithm heuristic (using Manhattan distance) " + extra + theDistance;
+    document.getElementById("distance").textContent = theDescription + " " + extra + theDistance;
+  }
+
+  /*
+   * The board can't be solved, tell it instead of the counts
+   */
+  updateUnsolvable() {
+    document.getElementById("counter").textContent = "This board can not be solved";
+    document.getElementById("distance").textContent = "";
+  }
+
+  /*
+   * Solving can't be started, show the reason
+   */
+  updateError(theMessage) {
+    document.getElementById("counter").textContent = theMessage;
+    document.getElementById("distance").textContent = "";
+  }
+
+  /*
+   * Position loaded, show its estimated distance and the given solution
+   */
+  updateLoaded(theDistance, theSolution) {
+    document.getElementById("counter").textContent = "Position loaded, estimated distance " + theDistance;
+    this.showSolution(theSolution);
+  }
+
+  /*
+   * The moves given by the user solve the board, show them as the solution
+   */
+  updateVerified(theMessage, theSolution) {
+    document.getElementById("counter").textContent = theMessage;
+    this.showSolution(theSolution);
+  }
+
+  /*
+   * Return the selected shuffle mode, "walk", "uniform" or a difficulty level
+   */
+  getShuffleMode() {
+    return document.getElementById("shuffleSelection").value;
+  }
+
+  /*
+   * Return the number of random moves used by the "walk" shuffle mode
+   */
+  getShuffleMoveCount() {
+    let count = parseInt(document.getElementById("shuffleMoves").value, 10);
+    if (isNaN(count) || count < 1) {
+      return 10;
+    }
+    return count;
   }
 
   /*
    * Clear counters
    */
   resetState() {
-    document.getElementById("counter").innerHTML = "";
-    document.getElementById("distance").innerHTML = "";
+    document.getElementById("counter").textContent = "";
+    document.getElementById("distance").textContent = "";
   }
 
   /*
-   * Build board content based on the given board size
+   * Build board content based on the given board size: one element for each
+   * tile, the "0" included. The tiles are moved by CSS transforms, so they
+   * slide to their new places.
    */
   buildContent(theBoard) {
-    let sideCount = theBoard.sideCount();
+    let width = theBoard.getWidth();
+    let height = theBoard.getHeight();
     let content = "";
 
-    for (let y = 0; y < sideCount; y++) {
-      content = content + "<tr>";
-      for (let x = 0; x < sideCount; x++) {
-        content = content + '<td id="t' + x + y +'">x</td>';
+    // The size and the goal may come from a loaded position
+    document.getElementById("boardWidth").value = width;
+    document.getElementById("boardHeight").value = height;
+    document.getElementById("goalSelection").value = theBoard.getGoal().name;
+
+    for (let value = 0; value < width * height; value++) {
+      content = content + '<div class="tile' + ((value === 0) ? " blank" : "") + '" id="tile' + value + '" style="width: ' +
+        (100 / width) + "%; height: " + (100 / height) + '%"><span class="number">' + value + "</span></div>";
+    }
+
+    let board = document.getElementById("board");
+    board.innerHTML = content;
+    board.style.aspectRatio = width + " / " + height;
+    this.width = width;
+    this.height = height;
+    this.goal = theBoard.getGoal();
+    this.updateTileFaces();
+    this.updateHeuristics(theBoard);
+    this.updateShuffleModes(theBoard);
+  }
+
+  /*
+   * Disable the difficulty levels on the board sizes that have none, see
+   * Difficulty. A level selected there turns to the random walk.
+   */
+  updateShuffleModes(theBoard) {
+    let selection = document.getElementById("shuffleSelection");
+
+    for (let level of Difficulty.levels()) {
+      selection.querySelector('option[value="' + level + '"]').disabled =
+        Difficulty.getRange(level, theBoard.getWidth(), theBoard.getHeight()) === null;
+    }
+    if (selection.selectedOptions[0].disabled) {
+      selection.value = "walk";
+    }
+  }
+
+  /*
+   * Disable the heuristics that can't be used with the size and the goal of
+   * the board, as the pattern databases, in the selection and in the
+   * comparison
+   */
+  updateHeuristics(theBoard) {
+    for (let input of document.querySelectorAll('#heuristicSelection option, input[name="compareHeuristic"]')) {
+      input.disabled = !Board.getHeuristic(input.value).isAvailable(theBoard);
+    }
+  }
+
+  /*
+   * Show the picture in the given URL on the tiles, null for numbers only
+   */
+  setTileImage(theImage) {
+    this.image = theImage;
+    this.updateTileFaces();
+  }
+
+  /*
+   * Select the tile face shown again, when "Own picture..." picked no file
+   */
+  restoreTileFace() {
+    document.getElementById("tileFaceSelection").value = this.tileFace;
+  }
+
+  /*
+   * Read the picture from the image file picked or dropped by the user
+   */
+  readImageFile(theFile) {
+    if (!theFile.type.startsWith("image/")) {
+      this.updateError(theFile.name + " is not an image");
+      return;
+    }
+
+    let reader = new FileReader();
+    reader.onload = () => {
+      document.getElementById("tileFaceSelection").value = "file";
+      this.tileFace = "file";
+      this.setTileImage(reader.result);
+    };
+    reader.onerror = () => this.updateError("Can not read " + theFile.name);
+    reader.readAsDataURL(theFile);
+  }
+
+  /*
+   * Give each tile its part of the picture, the part of its solved position,
+   * and show or hide the numbers and the preview of the solved picture
+   */
+  updateTileFaces() {
+    let hasImage = (this.image !== null);
+    let board = document.getElementById("board");
+    let preview = document.getElementById("preview");
+
+    board.classList.toggle("no-numbers", hasImage && !document.getElementById("showNumbers").checked);
+    preview.hidden = !hasImage || !document.getElementById("showPreview").checked;
+    if (hasImage) {
+      preview.src = this.image;
+    } else {
+      preview.removeAttribute("src");
+    }
+
+    // The "0" has no picture
+    for (let value = 1; value < this.width * this.height; value++) {
+      let style = document.getElementById("tile" + value).style;
+
+      if (hasImage) {
+        style.backgroundImage = 'url("' + this.image + '")';
+        style.backgroundSize = (this.width * 100) + "% " + (this.height * 100) + "%";
+        style.backgroundPosition = this.goal.columns[value] / (this.width - 1) * 100 + "% " +
+          this.goal.rows[value] / (this.height - 1) * 100 + "%";
+      } else {
+        style.backgroundImage = "";
+        style.backgroundSize = "";
+        style.backgroundPosition = "";
       }
-      content = content + "</tr>";
     }
-    document.getElementById("board").innerHTML = content;
   }
 
   /*
-   * Update the board
+   * The longest time of a tile slide in milliseconds
+   */
+  static slideTime() {
+    return 150;
+  }
+
+  /*
+   * Set the time of a tile slide, the CSS transition skips it if the user
+   * prefers reduced motion
+   */
+  setSlideTime(theSlideTimeInMs) {
+    document.getElementById("board").style.setProperty("--slide-time", theSlideTimeInMs + "ms");
+  }
+
+  /*
+   * Update the board by moving each tile to its position
    */
   setBoard(theBoard) {
     let values = theBoard.getValues();
-    let sideCount = theBoard.sideCount();
-    let tId = "";
+    let width = theBoard.getWidth();
 
-    // Is this solved board
-    let isEnd = theBoard.isEndPosition();
+    // Is this solved board, all the tiles are colored then
+    document.getElementById("board").classList.toggle("solved", theBoard.isEndPosition());
 
     let x = 0;
     let y = 0;
 
     for (let i = 0; i < values.length; i++) {
-      x = Math.floor(i % sideCount);
-      y = Math.floor(i / sideCount);
-
-      tId = "t" + x + y;
-      document.getElementById(tId).innerHTML = values[i].toString();
-
-      if (isEnd) {
-    	  // Change elements background color when showing solved board
-        document.getElementById(tId).style.backgroundColor = "gold";
-      } else {
-    	  // Unsolved board, set background color, "0" position a bit daker than the rest
-        if (values[i] === 0) {
-          document.getElementById(tId).style.backgroundColor = "#396D86";
-        } else {
-          document.getElementById(tId).style.backgroundColor = "#699DB6";
-        }
-      }
+      x = Math.floor(i % width);
+      y = Math.floor(i / width);
+
+      // The translation is relative to the tile size
+      let tile = document.getElementById("tile" + values[i]);
+      tile.style.transform = "translate(" + (x * 100) + "%, " + (y * 100) + "%)";
+      tile.dataset.position = i;
+      tile.classList.toggle("hint", i == this.hintPosition);
     }
   }
 }
+
@@ -0,0 +1,3134 @@
+'use strict';
+
+/*
+ * The N-Puzzle model and solvers, without any DOM dependencies. Loaded as a
+ * script by main.html and solverworker.js, and as a module by Node (see the
+ * exports at the end).
+ */
+
+
+/*
+ * Class for managing the state of the board. Used in the search tree.
+ */
+class Board {
+
+  // Zobrist hash tables by board size, see zobristTable()
+  static zobristTables = new Map();
+
+  // The heuristics by name, see registerHeuristic()
+  static heuristics = new Map();
+
+  constructor(theParent, theValues, theDirection, theWidth, theHeight, theGoal) {
+	  	// Parent of the board in the search tree
+	    this.parent = theParent;
+	    // Values representing the state of the board, row by row
+	    this.values = theValues.slice(0);
+	    // Number of columns and rows, same as the parent's. Without the parent
+		// and the given size the board is square.
+	    if (theParent !== null) {
+	      this.width = theParent.width;
+	      this.height = theParent.height;
+	    } else {
+	      this.width = theWidth || Math.floor(Math.sqrt(theValues.length));
+	      this.height = theHeight || Math.floor(theValues.length / this.width);
+	    }
+	    // Solved state, same as the parent's. Given as a Goal or by name, the
+		// "0" first by default.
+	    if (theParent !== null) {
+	      this.goal = theParent.goal;
+	    } else if (theGoal instanceof Goal) {
+	      this.goal = theGoal;
+	    } else {
+	      this.goal = Goal.get(theGoal || "blankfirst", this.width, this.height);
+	    }
+	    // Id of the board based on it's current state as fixed width string,
+		// one character per tile. Used to check if the boards are same
+	    this.numId = this.countId();
+	    // Zobrist hash of the current state, used as the key when storing
+		// the boards to BoardSet
+	    this.hash = this.countHash();
+	    // Heuristic used for the estimated distance, same as the parent's
+	    this.heuristic = (theParent !== null) ? theParent.heuristic : Board.getHeuristic("manhattan");
+	    // Heuristic distance from this state to solved state
+	    this.estimatedDistance = this.countEstimatedDistance();
+	    // Direction the "0" moved from the parent board
+	    this.direction = theDirection;
+	    // Depth in the search tree
+	    this.depth = this.countDepth();
+  }
+
+  /*
+	 * Count and return the string representing the state. Every tile is
+	 * encoded as one character, so different states never get the same id.
+	 */
+  countId() {
+    return String.fromCharCode.apply(null, this.values);
+  }
+
+  /*
+	 * Count and return the Zobrist hash of the state.
+	 */
+  countHash() {
+    let table = Board.zobristTable(this.values.length);
+    let hash = 0;
+
+    for (let i = 0; i < this.values.length; i++) {
+      hash ^= table[this.values[i] * this.values.length + i];
+    }
+    return hash;
+  }
+
+  /*
+	 * Return the table of random numbers for the Zobrist hash of the given
+	 * board size, one number for each tile in each position. The tables are
+	 * created when first needed.
+	 */
+  static zobristTable(boardSize) {
+    let table = Board.zobristTables.get(boardSize);
+
+    if (table === undefined) {
+      table = new Int32Array(boardSize * boardSize);
+      for (let i = 0; i < table.length; i++) {
+        table[i] = Math.floor(Math.random() * 0x100000000);
+      }
+      Board.zobristTables.set(boardSize, table);
+    }
+    return table;
+  }
+
+  /*
+	 * Return the number of columns of the board.
+	 */
+  getWidth() {
+    return this.width;
+  }
+
+  /*
+	 * Return the number of rows of the board.
+	 */
+  getHeight() {
+    return this.height;
+  }
+
+  /*
+	 * Return the Goal the board is solved to.
+	 */
+  getGoal() {
+    return this.goal;
+  }
+
+  /*
+	 * Count the heuristic distance from this state to solved state and return
+	 * it.
+	 */
+  countEstimatedDistance() {
+    return this.heuristic.estimate(this);
+  }
+
+  /*
+	 * Add the heuristic to the heuristics which can be selected by name.
+	 */
+  static registerHeuristic(theHeuristic) {
+    Board.heuristics.set(theHeuristic.name, theHeuristic);
+  }
+
+  /*
+	 * Return the heuristic with the given name.
+	 */
+  static getHeuristic(theName) {
+    let heuristic = Board.heuristics.get(theName);
+
+    if (heuristic === undefined) {
+      throw new Error("Unknown heuristic: " + theName);
+    }
+    return heuristic;
+  }
+
+  /*
+	 * Use the heuristic with the given name for the estimated distance of this
+	 * board and its children.
+	 */
+  setHeuristic(theName) {
+    this.heuristic = Board.getHeuristic(theName);
+    this.estimatedDistance = this.countEstimatedDistance();
+  }
+
+  /*
+	 * Return a copy of the state.
+	 */
+  getValues() {
+    return this.values.slice(0);
+  }
+
+  /*
+	 * Return the id string representing the state of the board.
+	 */
+  getNumId() {
+    return this.numId;
+  }
+
+  /*
+	 * Return the Zobrist hash of the state of the board.
+	 */
+  getHash() {
+    return this.hash;
+  }
+
+  /*
+	 * Return the heuristic distance from this state to solved state.
+	 */
+  getEstimatedDistance() {
+    return this.estimatedDistance;
+  }
+
+  /*
+	 * Count and return the depth in the search tree.
+	 */
+  countDepth() {
+    if (this.parent !== null) {
+      return this.parent.depth + 1;
+    } else {
+      return 0;
+    }
+  }
+
+  /*
+	 * Return the estimated total cost from this state to solved state.
+	 */
+  getTotalCost() {
+    return this.depth + this.estimatedDistance;
+  }
+
+  /*
+	 * Return the index to the "0"
+	 */
+  zeroPosition() {
+    let zeroPos = 0;
+
+    for (let i = 0; i < this.values.length; i++) {
+      if (this.values[i] === 0) {
+        zeroPos = i;
+        break;
+      }
+    }
+    return zeroPos;
+  }
+
+  /*
+	 * Swap the positions of zero and the given position and count some the
+	 * values to represent the new state. The id and the hash are updated only
+	 * for the two changed positions.
+	 */
+  swapPositions(swapPos) {
+    let zeroPos = this.zeroPosition();
+    let tile = this.values[swapPos];
+    let size = this.values.length;
+    let table = Board.zobristTable(size);
+    let first = Math.min(zeroPos, swapPos);
+    let second = Math.max(zeroPos, swapPos);
+
+    this.values[zeroPos] = tile;
+    this.values[swapPos] = 0;
+
+    this.numId = this.numId.substring(0, first) + String.fromCharCode(this.values[first]) +
+      this.numId.substring(first + 1, second) + String.fromCharCode(this.values[second]) +
+      this.numId.substring(second + 1);
+    this.hash ^= table[tile * size + swapPos] ^ table[tile * size + zeroPos] ^
+      table[swapPos] ^ table[zeroPos];
+    this.estimatedDistance = this.countEstimatedDistance();
+  }
+
+  /*
+	 * Create and return a child board for the search tree by moving the "0" to
+	 * the given position. The id and the hash are not counted from scratch but
+	 * updated from the ones of this board.
+	 */
+  createChild(theDirection, swapPos) {
+    let child = Object.create(Board.prototype);
+
+    child.parent = this;
+    child.values = this.values.slice(0);
+    child.width = this.width;
+    child.height = this.height;
+    child.goal = this.goal;
+    child.numId = this.numId;
+    child.hash = this.hash;
+    child.heuristic = this.heuristic;
+    child.direction = theDirection;
+    child.depth = this.depth + 1;
+    child.swapPositions(swapPos);
+
+    return child;
+  }
+
+  /*
+	 * Return the direction opposite to the given one.
+	 */
+  static oppositeDirection(theDirection) {
+    return { Up: "Down", Down: "Up", Left: "Right", Right: "Left" }[theDirection];
+  }
+
+  /*
+	 * Return the position the "0" moves to when moved to the given direction
+	 * ("Up", "Down", "Left" or "Right"), -1 if the move is not possible.
+	 */
+  positionTowards(theDirection) {
+    let zeroPos = this.zeroPosition();
+    let x = zeroPos % this.width;
+    let y = Math.floor(zeroPos / this.width);
+
+    if (theDirection == "Up") {
+      y = y - 1;
+    } else if (theDirection == "Down") {
+      y = y + 1;
+    } else if (theDirection == "Left") {
+      x = x - 1;
+    } else if (theDirection == "Right") {
+      x = x + 1;
+    } else {
+      return -1;
+    }
+
+    if ((y < 0) || (y >= this.height) || (x < 0) || (x >= this.width)) {
+      return -1;
+    }
+    return y * this.width + x;
+  }
+
+  /*
+	 * Return the directions the "0" moved from the root of the search tree to
+	 * this board.
+	 */
+  getDirections() {
+    let directions = [];
+    let currentBoard = this;
+
+    while (currentBoard.parent !== null) {
+      directions.unshift(currentBoard.direction);
+      currentBoard = currentBoard.parent;
+    }
+    return directions;
+  }
+
+  /*
+	 * Moves the "0" to different directions and by doing so shuffles the board.
+	 * The directions are picked by the given SeededRandom, by one with a
+	 * random seed if not given.
+	 */
+  shuffle(shuffleCount, theRandom) {
+    let random = theRandom || new SeededRandom();
+    let i = 0;
+    let previousZeroPos = -1;
+    let x = 0;
+    let y = 0;
+    let sValue = 0;
+
+    do {
+      let zeroPos = this.zeroPosition();
+
+      x = Math.floor(zeroPos % this.width);
+      y = Math.floor(zeroPos / this.width);
+      sValue = random.nextInt(4);
+
+      if (sValue === 0) {
+        x = x - 1;
+      }
+      else if (sValue == 1) {
+        x = x + 1;
+      }
+      else if (sValue == 2) {
+        y = y - 1;
+      }
+      else {
+        y = y + 1;
+      }
+
+      if ((y >= 0) && (y < this.height) && (x >= 0) && (x < this.width)) {
+        let swapPos = y * this.width + x;
+        if (swapPos != previousZeroPos) {
+          this.swapPositions(swapPos);
+          previousZeroPos = zeroPos;
+          i++;
+        }
+      }
+    } while (i < shuffleCount);
+  }
+
+  /*
+	 * Shuffles the board to a uniformly random solvable state, picked by the
+	 * given SeededRandom or by one with a random seed.
+	 */
+  shuffleRandom(theRandom) {
+    let random = theRandom || new SeededRandom();
+
+    // Fisher-Yates shuffle gives every permutation with the same probability
+    for (let i = this.values.length - 1; i > 0; i--) {
+      let j = random.nextInt(i + 1);
+      let value = this.values[i];
+      this.values[i] = this.values[j];
+      this.values[j] = value;
+    }
+
+    // Half of the permutations can't be solved. Swapping two tiles (not the
+    // "0") changes the parity, so every solvable state is still as probable.
+    if (!this.isSolvable()) {
+      let first = (this.values[0] === 0) ? 1 : 0;
+      let second = (this.values[first + 1] === 0) ? first + 2 : first + 1;
+      let value = this.values[first];
+      this.values[first] = this.values[second];
+      this.values[second] = value;
+    }
+
+    this.numId = this.countId();
+    this.hash = this.countHash();
+    this.estimatedDistance = this.countEstimatedDistance();
+  }
+
+  /*
+	 * Return true if the solved position can be reached from this state: the
+	 * state has the same parity as the goal, see Goal.countParity().
+	 */
+  isSolvable() {
+    return Goal.countParity(this.values, this.width) === this.goal.parity;
+  }
+
+  /*
+	 * Return true if the board state is the solved position, false otherwise.
+	 */
+  isEndPosition() {
+    return this.numId === this.goal.id;
+  }
+}
+
+
+/*
+ * The solved state of a board of some size. "blankfirst" has the "0" first
+ * and the tiles in order after it, "blanklast" the tiles in order and the
+ * "0" last, "spiral" the tiles in order clockwise around from the top left
+ * corner and the "0" where the spiral ends. Get the goals with Goal.get(),
+ * the boards share them.
+ */
+class Goal {
+
+  // The goals by "name,width,height", see get()
+  static goals = new Map();
+
+  constructor(theName, theWidth, theHeight, theValues) {
+    this.name = theName;
+    this.width = theWidth;
+    this.height = theHeight;
+    this.values = theValues.slice(0);
+    // Id of the solved state, same as the id of the solved board
+    this.id = String.fromCharCode.apply(null, theValues);
+    // Solved position, row and column of every value
+    this.positions = new Array(theValues.length);
+    this.rows = new Array(theValues.length);
+    this.columns = new Array(theValues.length);
+    for (let i = 0; i < theValues.length; i++) {
+      this.positions[theValues[i]] = i;
+      this.rows[theValues[i]] = Math.floor(i / theWidth);
+      this.columns[theValues[i]] = i % theWidth;
+    }
+    // Only the boards with the same parity can be solved to this goal
+    this.parity = Goal.countParity(theValues, theWidth);
+  }
+
+  /*
+   * The names of the goals.
+   */
+  static names() {
+    return ["blankfirst", "blanklast", "spiral"];
+  }
+
+  /*
+   * Return the goal with the given name for the given board size. Throws an
+   * error if there is no such goal.
+   */
+  static get(theName, theWidth, theHeight) {
+    let key = theName + "," + theWidth + "," + theHeight;
+    let goal = Goal.goals.get(key);
+
+    if (goal === undefined) {
+      goal = new Goal(theName, theWidth, theHeight, Goal.createValues(theName, theWidth, theHeight));
+      Goal.goals.set(key, goal);
+    }
+    return goal;
+  }
+
+  /*
+   * Create the solved values of the goal with the given name.
+   */
+  static createValues(theName, theWidth, theHeight) {
+    let size = theWidth * theHeight;
+    let values = new Array(size);
+
+    if (theName == "blankfirst") {
+      for (let i = 0; i < size; i++) {
+        values[i] = i;
+      }
+    } else if (theName == "blanklast") {
+      for (let i = 0; i < size; i++) {
+        values[i] = (i + 1) % size;
+      }
+    } else if (theName == "spiral") {
+      let order = Goal.spiralOrder(theWidth, theHeight);
+      for (let i = 0; i < size; i++) {
+        values[order[i]] = (i + 1) % size;
+      }
+    } else {
+      throw new Error("Unknown goal: " + theName);
+    }
+    return values;
+  }
+
+  /*
+   * Return the positions of the board clockwise around from the top left
+   * corner towards the middle.
+   */
+  static spiralOrder(theWidth, theHeight) {
+    let order = [];
+    let top = 0;
+    let bottom = theHeight - 1;
+    let left = 0;
+    let right = theWidth - 1;
+
+    while (top <= bottom && left <= right) {
+      for (let x = left; x <= right; x++) {
+        order.push(top * theWidth + x);
+      }
+      top++;
+      for (let y = top; y <= bottom; y++) {
+        order.push(y * theWidth + right);
+      }
+      right--;
+      if (top <= bottom) {
+        for (let x = right; x >= left; x--) {
+          order.push(bottom * theWidth + x);
+        }
+        bottom--;
+      }
+      if (left <= right) {
+        for (let y = bottom; y >= top; y--) {
+          order.push(y * theWidth + left);
+        }
+        left++;
+      }
+    }
+    return order;
+  }
+
+  /*
+   * Count the parity of the state which the moves don't change.
+   *
+   * Moving the "0" left or right doesn't change the number of inversions
+   * (tile pairs in the wrong order, "0" not counted). Moving it up or down
+   * changes the number of inversions by width - 1. So with odd width the
+   * parity of the inversions never changes, with even width it changes
+   * every time the "0" changes row, and the parity of the inversions + the
+   * row of the "0" doesn't.
+   */
+  static countParity(theValues, theWidth) {
+    let inversions = 0;
+
+    for (let i = 0; i < theValues.length; i++) {
+      if (theValues[i] !== 0) {
+        for (let j = i + 1; j < theValues.length; j++) {
+          if (theValues[j] !== 0 && theValues[j] < theValues[i]) {
+            inversions++;
+          }
+        }
+      }
+    }
+
+    if (theWidth % 2 === 0) {
+      inversions += Math.floor(theValues.indexOf(0) / theWidth);
+    }
+    return inversions % 2;
+  }
+
+  /*
+   * Return a copy of the solved values.
+   */
+  getValues() {
+    return this.values.slice(0);
+  }
+}
+
+
+/*
+ * Pseudo random numbers which are the same from the same seed (mulberry32).
+ * All the scrambling uses this, so the board can be shuffled again from the
+ * seed shown as the puzzle number.
+ */
+class SeededRandom {
+  constructor(theSeed) {
+    // The seed, a random one if not given
+    this.seed = (theSeed === undefined) ? SeededRandom.createSeed() : theSeed >>> 0;
+    this.state = this.seed;
+  }
+
+  /*
+   * The largest seed.
+   */
+  static maxSeed() {
+    return 0xffffffff;
+  }
+
+  /*
+   * Return a new seed picked at random.
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * (SeededRandom.maxSeed() + 1));
+  }
+
+  /*
+   * Read the seed from the text. Throws an error if it is not a whole number
+   * from 0 to maxSeed().
+   */
+  static parseSeed(theText) {
+    let text = String(theText).trim();
+
+    if (!/^\d+$/.test(text) || Number(text) > SeededRandom.maxSeed()) {
+      throw new Error("The puzzle number must be a whole number from 0 to " + SeededRandom.maxSeed());
+    }
+    return Number(text);
+  }
+
+  /*
+   * Return the UTC date as "2024-05-31". The daily challenge changes at
+   * midnight UTC, so it is the same board all around the world.
+   */
+  static dateText(theDate) {
+    let pad = (theNumber) => String(theNumber).padStart(2, "0");
+    return theDate.getUTCFullYear() + "-" + pad(theDate.getUTCMonth() + 1) + "-" + pad(theDate.getUTCDate());
+  }
+
+  /*
+   * Return the seed of the daily challenge of the given date, the same for
+   * everyone on the same day. Hashes the date text with FNV-1a.
+   */
+  static dailySeed(theDate) {
+    let text = "daily " + SeededRandom.dateText(theDate);
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /*
+   * Return the seed the numbers started from.
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /*
+   * Return the next number, 0 <= number < 1.
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /*
+   * Return the next whole number, 0 <= number < theCount.
+   */
+  nextInt(theCount) {
+    return Math.floor(this.next() * theCount);
+  }
+}
+
+
+/*
+ * Base class for the heuristics estimating the number of moves from a board
+ * state to the solved state. The heuristics are registered to Board and
+ * selected by name. All of them are admissible, they never estimate more
+ * moves than really needed, so A* and IDA* still find the shortest solution.
+ */
+class Heuristic {
+  constructor(theName, theLabel) {
+    // Name used for selecting the heuristic
+    this.name = theName;
+    // Name shown in the UI
+    this.label = theLabel;
+  }
+
+  /*
+   * Return true if the heuristic can be used for the given board.
+   */
+  isAvailable(theBoard) {
+    return true;
+  }
+
+  /*
+   * Return true if the heuristic has all the data it needs loaded.
+   */
+  isReady() {
+    return true;
+  }
+
+  /*
+   * Load the data needed by the heuristic. Returns a promise resolved when
+   * the heuristic is ready.
+   */
+  load() {
+    return Promise.resolve();
+  }
+
+  /*
+   * Return the estimated number of moves from the given board to the solved
+   * state.
+   */
+  estimate(theBoard) {
+    return 0;
+  }
+}
+
+
+/*
+ * Manhattan distance, the sum of the horizontal and vertical distances of the
+ * tiles from their solved positions in the goal of the board.
+ */
+class ManhattanHeuristic extends Heuristic {
+  constructor() {
+    super("manhattan", "Manhattan distance");
+  }
+
+  estimate(theBoard) {
+    let estimated = 0;
+    let x = 0;
+    let y = 0;
+    let values = theBoard.values;
+    let width = theBoard.width;
+    let goal = theBoard.goal;
+
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] !== 0) {
+        x = Math.abs(goal.columns[values[i]] - (i % width));
+        y = Math.abs(goal.rows[values[i]] - (Math.floor(i / width)));
+
+        estimated = estimated + x + y;
+      }
+    }
+
+    return estimated;
+  }
+}
+
+
+/*
+ * Manhattan distance + linear conflicts. Two tiles are in linear conflict when
+ * they are both in their solved row (or column) but in the wrong order, so one
+ * of them has to leave the row and come back, which takes two moves more than
+ * the Manhattan distance counts. For every row and column the tiles which
+ * have to leave are the ones not in the longest correctly ordered subsequence.
+ */
+class LinearConflictHeuristic extends ManhattanHeuristic {
+  constructor() {
+    super();
+    this.name = "linearconflict";
+    this.label = "Manhattan distance + linear conflicts";
+  }
+
+  estimate(theBoard) {
+    let values = theBoard.values;
+    let width = theBoard.width;
+    let height = theBoard.height;
+    let goal = theBoard.goal;
+    let conflicts = 0;
+    let line = [];
+
+    for (let row = 0; row < height; row++) {
+      // Solved columns of the tiles which are on their solved row
+      line.length = 0;
+      for (let x = 0; x < width; x++) {
+        let value = values[row * width + x];
+        if (value !== 0 && goal.rows[value] === row) {
+          line.push(goal.columns[value]);
+        }
+      }
+      conflicts += line.length - LinearConflictHeuristic.longestIncreasing(line);
+    }
+
+    for (let column = 0; column < width; column++) {
+      // Solved rows of the tiles which are on their solved column
+      line.length = 0;
+      for (let y = 0; y < height; y++) {
+        let value = values[y * width + column];
+        if (value !== 0 && goal.columns[value] === column) {
+          line.push(goal.rows[value]);
+        }
+      }
+      conflicts += line.length - LinearConflictHeuristic.longestIncreasing(line);
+    }
+
+    return super.estimate(theBoard) + 2 * conflicts;
+  }
+
+  /*
+   * Return the length of the longest increasing subsequence of the given
+   * short list.
+   */
+  static longestIncreasing(theList) {
+    let lengths = [];
+    let longest = 0;
+
+    for (let i = 0; i < theList.length; i++) {
+      lengths[i] = 1;
+      for (let j = 0; j < i; j++) {
+        if (theList[j] < theList[i] && lengths[j] + 1 > lengths[i]) {
+          lengths[i] = lengths[j] + 1;
+        }
+      }
+      longest = Math.max(longest, lengths[i]);
+    }
+    return longest;
+  }
+}
+
+
+/*
+ * Walking distance. The vertical walking distance is the number of moves
+ * needed when only the rows of the tiles are looked at: how many tiles of
+ * each solved row there are on each row, and the row of the "0". The moves
+ * for all these states are counted once by a breadth-first search from the
+ * solved state. The horizontal walking distance is the same for the columns,
+ * and the sum of the two is the estimate.
+ */
+class WalkingDistanceHeuristic extends Heuristic {
+  constructor() {
+    super("walkingdistance", "walking distance");
+    // Distance tables by "line count,line length,solved line of the 0"
+    this.tables = new Map();
+  }
+
+  /*
+   * The tables grow too big for boards wider or higher than 4.
+   */
+  isAvailable(theBoard) {
+    return theBoard.width <= 4 && theBoard.height <= 4;
+  }
+
+  estimate(theBoard) {
+    let values = theBoard.values;
+    let width = theBoard.width;
+    let height = theBoard.height;
+    let goal = theBoard.goal;
+    let rows = new Array(height * height).fill(0);
+    let columns = new Array(width * width).fill(0);
+    let zeroPos = theBoard.zeroPosition();
+
+    // Count the tiles by their current and solved line
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] !== 0) {
+        rows[Math.floor(i / width) * height + goal.rows[values[i]]]++;
+        columns[(i % width) * width + goal.columns[values[i]]]++;
+      }
+    }
+
+    // The tables depend on the solved line of the "0"
+    return this.getTable(height, width, goal.rows[0]).get(
+        WalkingDistanceHeuristic.stateKey(rows, Math.floor(zeroPos / width))) +
+      this.getTable(width, height, goal.columns[0]).get(
+        WalkingDistanceHeuristic.stateKey(columns, zeroPos % width));
+  }
+
+  /*
+   * Return the key of the state with the given tile counts (current line *
+   * line count + solved line) and the line of the "0".
+   */
+  static stateKey(theCounts, theZeroLine) {
+    return String.fromCharCode.apply(null, theCounts) + String.fromCharCode(theZeroLine);
+  }
+
+  /*
+   * Return the distance table for the given number of lines, the number of
+   * cells in a line and the solved line of the "0". The table is counted
+   * when first needed.
+   */
+  getTable(theLineCount, theLineLength, theZeroLine) {
+    let tableKey = theLineCount + "," + theLineLength + "," + theZeroLine;
+    let table = this.tables.get(tableKey);
+
+    if (table === undefined) {
+      table = WalkingDistanceHeuristic.countTable(theLineCount, theLineLength, theZeroLine);
+      this.tables.set(tableKey, table);
+    }
+    return table;
+  }
+
+  /*
+   * Count the distances of all the states by breadth-first search from the
+   * solved state. One move takes a tile with any solved line from the line
+   * above or below to the line of the "0".
+   */
+  static countTable(theLineCount, theLineLength, theZeroLine) {
+    let table = new Map();
+    let counts = new Array(theLineCount * theLineCount).fill(0);
+
+    for (let line = 0; line < theLineCount; line++) {
+      counts[line * theLineCount + line] = (line === theZeroLine) ? theLineLength - 1 : theLineLength;
+    }
+
+    let layer = [{ counts: counts, zeroLine: theZeroLine }];
+    let distance = 0;
+    table.set(WalkingDistanceHeuristic.stateKey(counts, theZeroLine), 0);
+
+    while (layer.length > 0) {
+      let nextLayer = [];
+      distance++;
+
+      for (let i = 0; i < layer.length; i++) {
+        let state = layer[i];
+
+        for (let from = state.zeroLine - 1; from <= state.zeroLine + 1; from += 2) {
+          if (from < 0 || from >= theLineCount) {
+            continue;
+          }
+          for (let solvedLine = 0; solvedLine < theLineCount; solvedLine++) {
+            if (state.counts[from * theLineCount + solvedLine] > 0) {
+              let newCounts = state.counts.slice(0);
+              newCounts[from * theLineCount + solvedLine]--;
+              newCounts[state.zeroLine * theLineCount + solvedLine]++;
+
+              let key = WalkingDistanceHeuristic.stateKey(newCounts, from);
+              if (!table.has(key)) {
+                table.set(key, distance);
+                nextLayer.push({ counts: newCounts, zeroLine: from });
+              }
+            }
+          }
+        }
+      }
+      layer = nextLayer;
+    }
+
+    return table;
+  }
+}
+
+
+/*
+ * Pattern database of one group of tiles: the number of moves of the group's
+ * tiles needed to get them to their solved positions, for every placement of
+ * the tiles. The other tiles and the "0" are left out, a tile of the group
+ * can move to any cell next to it not taken by another tile of the group.
+ * Moves of the other tiles are not counted, so the databases of disjoint
+ * groups can be added together.
+ *
+ * The moves are never less than the Manhattan distance of the group's tiles
+ * and differ from it by an even number, so only half the difference is kept,
+ * two placements to a byte. Differences over 28 moves are kept as 28, the
+ * estimate stays admissible.
+ */
+class PatternDatabase {
+
+  /*
+   * Create the database from the packed halves of the moves over the
+   * Manhattan distance, indexed by the placement of the tiles, see encode()
+   * and getNibble().
+   */
+  constructor(theWidth, theHeight, theTiles, theExcesses) {
+    this.width = theWidth;
+    this.height = theHeight;
+    this.tiles = theTiles.slice(0);
+    this.excesses = theExcesses;
+    this.positions = new Array(theTiles.length);
+    this.cellDistances = PatternDatabase.cellDistances(theWidth, theHeight);
+  }
+
+  /*
+   * Return the number of placements of the given number of tiles to the
+   * given number of cells.
+   */
+  static size(theCellCount, theTileCount) {
+    let size = 1;
+    for (let i = 0; i < theTileCount; i++) {
+      size *= theCellCount - i;
+    }
+    return size;
+  }
+
+  /*
+   * Return the number of bytes the database of the given number of tiles
+   * takes, two placements to a byte.
+   */
+  static byteLength(theCellCount, theTileCount) {
+    return Math.ceil(PatternDatabase.size(theCellCount, theTileCount) / 2);
+  }
+
+  /*
+   * Return the index of the given tile positions. Every position is counted
+   * only among the cells not taken by the tiles before it.
+   */
+  static encode(thePositions, theCellCount) {
+    let index = 0;
+
+    for (let i = 0; i < thePositions.length; i++) {
+      let smaller = 0;
+      for (let j = 0; j < i; j++) {
+        if (thePositions[j] < thePositions[i]) {
+          smaller++;
+        }
+      }
+      index = index * (theCellCount - i) + thePositions[i] - smaller;
+    }
+    return index;
+  }
+
+  /*
+   * Set the tile positions of the given index to the given array, the
+   * opposite of encode(). The counts among the free cells, the digits of the
+   * index, are set to theDigits if given.
+   */
+  static decode(theIndex, thePositions, theCellCount, theDigits) {
+    for (let i = thePositions.length - 1; i >= 0; i--) {
+      thePositions[i] = theIndex % (theCellCount - i);
+      theIndex = Math.floor(theIndex / (theCellCount - i));
+    }
+    for (let i = 0; i < thePositions.length; i++) {
+      let digit = thePositions[i];
+      let taken = 0;
+      let cell = -1;
+      if (theDigits) {
+        theDigits[i] = digit;
+      }
+      // Skip the cells taken by the tiles before, up to the cell found
+      while (cell != digit + taken) {
+        cell = digit + taken;
+        taken = 0;
+        for (let j = 0; j < i; j++) {
+          if (thePositions[j] <= cell) {
+            taken++;
+          }
+        }
+      }
+      thePositions[i] = cell;
+    }
+  }
+
+  /*
+   * Count the database for the given tiles by breadth-first search from the
+   * solved placement. A move that takes a tile further from its solved
+   * position keeps the moves over the Manhattan distance, a move towards it
+   * adds two, so the placements are found in the order of the difference
+   * with a 0-1 breadth-first search: the placements of the same difference
+   * are followed right away with a stack, the ones of the next difference
+   * are marked and followed when their turn comes. The handled placements
+   * of the current difference are marked in a bitmap. The memory needed is
+   * half a byte and a bit for each placement, 7 and 8 tiles of 4 * 4 take
+   * about 330 MB.
+   */
+  static build(theWidth, theHeight, theTiles) {
+    let cellCount = theWidth * theHeight;
+    let tileCount = theTiles.length;
+    let size = PatternDatabase.size(cellCount, tileCount);
+    // Not found yet is 15, the same as the largest difference
+    let excesses = new Uint8Array(PatternDatabase.byteLength(cellCount, tileCount)).fill(255);
+    let handled = new Uint8Array(Math.ceil(size / 8));
+    let stack = new Float64Array(PatternDatabase.stackSize());
+    let cellDistances = PatternDatabase.cellDistances(theWidth, theHeight);
+    let neighbours = [];
+    let weights = new Array(tileCount).fill(1);
+    let positions = new Array(tileCount);
+    let digits = new Array(tileCount);
+    let occupied = new Uint8Array(cellCount);
+
+    for (let cell = 0; cell < cellCount; cell++) {
+      neighbours.push(PatternDatabase.neighbours(cell, theWidth, theHeight));
+    }
+    // The index is the sum of the digits times their weights
+    for (let i = tileCount - 2; i >= 0; i--) {
+      weights[i] = weights[i + 1] * (cellCount - i - 1);
+    }
+
+    PatternDatabase.setNibble(excesses, PatternDatabase.encode(theTiles, cellCount), 0);
+    for (let excess = 0; excess < 15; excess++) {
+      let again = true;
+
+      // The stack is full only with the big databases, the placements not
+      // followed are found on the next round
+      while (again) {
+        again = false;
+        for (let start = 0; start < size; start++) {
+          if (PatternDatabase.getNibble(excesses, start) !== excess || PatternDatabase.isBitSet(handled, start)) {
+            continue;
+          }
+
+          let top = 0;
+          stack[top++] = start;
+          PatternDatabase.setBit(handled, start);
+          while (top > 0) {
+            let index = stack[--top];
+            PatternDatabase.decode(index, positions, cellCount, digits);
+            occupied.fill(0);
+            for (let i = 0; i < tileCount; i++) {
+              occupied[positions[i]] = 1;
+            }
+
+            for (let i = 0; i < tileCount; i++) {
+              let from = positions[i];
+              let cells = neighbours[from];
+              for (let j = 0; j < cells.length; j++) {
+                let to = cells[j];
+                if (occupied[to]) {
+                  continue;
+                }
+
+                // Only the digits of this tile and the tiles after it change
+                let smaller = 0;
+                for (let k = 0; k < i; k++) {
+                  if (positions[k] < to) {
+                    smaller++;
+                  }
+                }
+                let next = index + (to - smaller - digits[i]) * weights[i];
+                for (let k = i + 1; k < tileCount; k++) {
+                  if (from < positions[k] && to > positions[k]) {
+                    next += weights[k];
+                  } else if (from > positions[k] && to < positions[k]) {
+                    next -= weights[k];
+                  }
+                }
+
+                let found = PatternDatabase.getNibble(excesses, next);
+                if (cellDistances[to * cellCount + theTiles[i]] > cellDistances[from * cellCount + theTiles[i]]) {
+                  if (found > excess) {
+                    PatternDatabase.setNibble(excesses, next, excess);
+                    if (top < stack.length) {
+                      PatternDatabase.setBit(handled, next);
+                      stack[top++] = next;
+                    } else {
+                      again = true;
+                    }
+                  }
+                } else if (found === 15 && excess < 14) {
+                  PatternDatabase.setNibble(excesses, next, excess + 1);
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+
+    return new PatternDatabase(theWidth, theHeight, theTiles, excesses);
+  }
+
+  /*
+   * The number of placements build() keeps on its stack at most.
+   */
+  static stackSize() {
+    return 1 << 20;
+  }
+
+  /*
+   * Return the Manhattan distances between the cells, indexed by
+   * cell * cellCount + other cell.
+   */
+  static cellDistances(theWidth, theHeight) {
+    let cellCount = theWidth * theHeight;
+    let distances = new Uint8Array(cellCount * cellCount);
+
+    for (let i = 0; i < cellCount; i++) {
+      for (let j = 0; j < cellCount; j++) {
+        distances[i * cellCount + j] = Math.abs(i % theWidth - j % theWidth) +
+          Math.abs(Math.floor(i / theWidth) - Math.floor(j / theWidth));
+      }
+    }
+    return distances;
+  }
+
+  /*
+   * Return the given half byte, the low half of a byte first. The indexes of
+   * the big databases don't fit to 32 bits, so no bitwise operators for them.
+   */
+  static getNibble(theNibbles, theIndex) {
+    let byte = theNibbles[Math.floor(theIndex / 2)];
+    return (theIndex % 2 === 0) ? byte & 15 : byte >> 4;
+  }
+
+  /*
+   * Set the given half byte.
+   */
+  static setNibble(theNibbles, theIndex, theValue) {
+    let i = Math.floor(theIndex / 2);
+    theNibbles[i] = (theIndex % 2 === 0) ? (theNibbles[i] & 240) | theValue : (theNibbles[i] & 15) | (theValue << 4);
+  }
+
+  /*
+   * Return true if the given bit is set.
+   */
+  static isBitSet(theBits, theBit) {
+    return (theBits[Math.floor(theBit / 8)] & (1 << (theBit % 8))) !== 0;
+  }
+
+  /*
+   * Set the given bit.
+   */
+  static setBit(theBits, theBit) {
+    theBits[Math.floor(theBit / 8)] |= 1 << (theBit % 8);
+  }
+
+  /*
+   * Return the positions next to the given position.
+   */
+  static neighbours(thePosition, theWidth, theHeight) {
+    let neighbours = [];
+    let x = thePosition % theWidth;
+    let y = Math.floor(thePosition / theWidth);
+
+    if (y > 0) {
+      neighbours.push(thePosition - theWidth);
+    }
+    if (y < theHeight - 1) {
+      neighbours.push(thePosition + theWidth);
+    }
+    if (x > 0) {
+      neighbours.push(thePosition - 1);
+    }
+    if (x < theWidth - 1) {
+      neighbours.push(thePosition + 1);
+    }
+    return neighbours;
+  }
+
+  /*
+   * Return the number of moves of the group's tiles needed for the given
+   * board, when the position of each value is given.
+   */
+  lookup(theTilePositions) {
+    let cellCount = this.width * this.height;
+    let manhattan = 0;
+
+    for (let i = 0; i < this.tiles.length; i++) {
+      this.positions[i] = theTilePositions[this.tiles[i]];
+      manhattan += this.cellDistances[this.positions[i] * cellCount + this.tiles[i]];
+    }
+    return manhattan + 2 * PatternDatabase.getNibble(this.excesses, PatternDatabase.encode(this.positions, cellCount));
+  }
+}
+
+
+/*
+ * Additive pattern databases. The tiles are split to disjoint groups and the
+ * estimate is the sum of the groups' pattern databases. The databases are
+ * built by tools/buildpdb.js to pdb/<name>.bin and loaded when first needed.
+ */
+class PatternDatabaseHeuristic extends Heuristic {
+  constructor(theName, theLabel, theWidth, theHeight, theGroups) {
+    super(theName, theLabel);
+    this.width = theWidth;
+    this.height = theHeight;
+    this.groups = theGroups;
+    // PatternDatabase of each group, null until loaded or built
+    this.databases = null;
+    this.loading = null;
+    this.tilePositions = new Array(theWidth * theHeight);
+  }
+
+  /*
+   * The databases are built for one board size and the "blankfirst" goal.
+   */
+  isAvailable(theBoard) {
+    return theBoard.width === this.width && theBoard.height === this.height && theBoard.goal.name == "blankfirst";
+  }
+
+  isReady() {
+    return this.databases !== null;
+  }
+
+  /*
+   * Return the path of the database file, relative to the page.
+   */
+  getFileName() {
+    return "pdb/" + this.name + ".bin";
+  }
+
+  /*
+   * Load the database file, with fetch in the browser and from the file
+   * system in Node.
+   */
+  load() {
+    if (this.databases !== null) {
+      return Promise.resolve();
+    }
+
+    if (this.loading === null) {
+      if (typeof window === "undefined" && typeof require === "function") {
+        let path = require("path");
+        let file = path.join(__dirname, this.getFileName());
+        this.loading = require("fs").promises.readFile(file).then(
+          (buffer) => new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length));
+      } else {
+        // Rejects also where there is no fetch
+        this.loading = Promise.resolve().then(() => fetch(this.getFileName())).then((response) => {
+          if (!response.ok) {
+            throw new Error("Pattern database " + this.getFileName() + " not found");
+          }
+          return response.arrayBuffer();
+        }).then((buffer) => new Uint8Array(buffer));
+      }
+
+      this.loading = this.loading.then((data) => {
+        this.setData(data);
+      }, (error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  /*
+   * Build the databases of all the groups.
+   */
+  build() {
+    this.databases = this.groups.map((tiles) => PatternDatabase.build(this.width, this.height, tiles));
+  }
+
+  /*
+   * Return the databases of the groups one after another, the content of the
+   * database file.
+   */
+  getData() {
+    let length = 0;
+    for (let i = 0; i < this.databases.length; i++) {
+      length += this.databases[i].excesses.length;
+    }
+
+    let data = new Uint8Array(length);
+    let offset = 0;
+    for (let i = 0; i < this.databases.length; i++) {
+      data.set(this.databases[i].excesses, offset);
+      offset += this.databases[i].excesses.length;
+    }
+    return data;
+  }
+
+  /*
+   * Set the databases from the content of the database file.
+   */
+  setData(theData) {
+    let cellCount = this.width * this.height;
+    let databases = [];
+    let offset = 0;
+
+    for (let i = 0; i < this.groups.length; i++) {
+      let size = PatternDatabase.byteLength(cellCount, this.groups[i].length);
+      databases.push(new PatternDatabase(this.width, this.height, this.groups[i],
+        theData.subarray(offset, offset + size)));
+      offset += size;
+    }
+
+    if (offset !== theData.length) {
+      throw new Error("Pattern database " + this.getFileName() + " has wrong size");
+    }
+    this.databases = databases;
+  }
+
+  estimate(theBoard) {
+    let values = theBoard.values;
+    let estimated = 0;
+
+    for (let i = 0; i < values.length; i++) {
+      this.tilePositions[values[i]] = i;
+    }
+    for (let i = 0; i < this.databases.length; i++) {
+      estimated += this.databases[i].lookup(this.tilePositions);
+    }
+    return estimated;
+  }
+}
+
+
+Board.registerHeuristic(new ManhattanHeuristic());
+Board.registerHeuristic(new LinearConflictHeuristic());
+Board.registerHeuristic(new WalkingDistanceHeuristic());
+Board.registerHeuristic(new PatternDatabaseHeuristic("pdb663", "6-6-3 pattern databases", 4, 4,
+  [[1, 4, 5, 8, 9, 12], [2, 3, 6, 7, 10, 11], [13, 14, 15]]));
+Board.registerHeuristic(new PatternDatabaseHeuristic("pdb78", "7-8 pattern databases", 4, 4,
+  [[1, 4, 5, 8, 9, 12, 13], [2, 3, 6, 7, 10, 11, 14, 15]]));
+
+
+/*
+ * Helper class for holding board and the estimate. Used for adding boards to be
+ * checked to priority queue.
+ */
+class FrontierElement {
+  constructor( board, estimate) {
+	  this.board = board;
+	  this.estimate = estimate;
+  }
+
+  /*
+   * Return true if this element should be checked before the given element.
+   * Lower estimate first, on equal estimates the board with the lower
+   * heuristic distance (the one closer to the solution) first.
+   */
+  isBefore(other) {
+    if (this.estimate !== other.estimate) {
+      return this.estimate < other.estimate;
+    }
+    return this.board.getEstimatedDistance() < other.board.getEstimatedDistance();
+  }
+}
+
+
+/*
+ * Binary heap of FrontierElements. The element to be checked next is always
+ * at the top.
+ */
+class FrontierQueue {
+  constructor() {
+    this.heap = [];
+  }
+
+  /*
+   * Return the number of elements in the queue.
+   */
+  get length() {
+    return this.heap.length;
+  }
+
+  /*
+   * Add the element to the queue.
+   */
+  push(element) {
+    let heap = this.heap;
+    let i = heap.length;
+
+    heap.push(element);
+
+    // Move the element up until the parent is checked before it
+    while (i > 0) {
+      let parent = (i - 1) >> 1;
+      if (!element.isBefore(heap[parent])) {
+        break;
+      }
+      heap[i] = heap[parent];
+      i = parent;
+    }
+    heap[i] = element;
+  }
+
+  /*
+   * Remove and return the element to be checked next, undefined if the queue
+   * is empty.
+   */
+  shift() {
+    let heap = this.heap;
+    let top = heap[0];
+    let last = heap.pop();
+
+    if (heap.length > 0) {
+      let i = 0;
+      let length = heap.length;
+
+      // Move the last element down from the top until both children are
+      // checked after it
+      while (true) {
+        let child = 2 * i + 1;
+        if (child >= length) {
+          break;
+        }
+        if (child + 1 < length && heap[child + 1].isBefore(heap[child])) {
+          child++;
+        }
+        if (!heap[child].isBefore(last)) {
+          break;
+        }
+        heap[i] = heap[child];
+        i = child;
+      }
+      heap[i] = last;
+    }
+
+    return top;
+  }
+
+  /*
+   * Return up to the given number of elements in the order they would be
+   * removed, without removing them. Only the elements accepted by the filter
+   * function are counted and returned.
+   */
+  peek(theCount, theFilter) {
+    let heap = this.heap;
+    let elements = [];
+    // Heap indexes of the elements which could be the next one
+    let candidates = (heap.length > 0) ? [0] : [];
+
+    while (elements.length < theCount && candidates.length > 0) {
+      let best = 0;
+      for (let i = 1; i < candidates.length; i++) {
+        if (heap[candidates[i]].isBefore(heap[candidates[best]])) {
+          best = i;
+        }
+      }
+
+      let index = candidates[best];
+      candidates.splice(best, 1);
+      if (theFilter(heap[index])) {
+        elements.push(heap[index]);
+      }
+      for (let child = 2 * index + 1; child <= 2 * index + 2 && child < heap.length; child++) {
+        candidates.push(child);
+      }
+    }
+
+    return elements;
+  }
+}
+
+
+/*
+ * Hash set of board states. The boards are stored by their Zobrist hash, the
+ * ids are compared only when two states get the same hash.
+ */
+class BoardSet {
+  constructor() {
+    // Hash -> id, or an array of ids when the hash is shared
+    this.buckets = new Map();
+    this.size = 0;
+  }
+
+  /*
+   * Add the state of the given board to the set.
+   */
+  add(theBoard) {
+    let id = theBoard.getNumId();
+    let bucket = this.buckets.get(theBoard.getHash());
+
+    if (bucket === undefined) {
+      this.buckets.set(theBoard.getHash(), id);
+    } else if (typeof bucket === "string") {
+      if (bucket === id) {
+        return;
+      }
+      this.buckets.set(theBoard.getHash(), [bucket, id]);
+    } else {
+      if (bucket.indexOf(id) !== -1) {
+        return;
+      }
+      bucket.push(id);
+    }
+    this.size++;
+  }
+
+  /*
+   * Return true if the state of the given board is in the set.
+   */
+  has(theBoard) {
+    let bucket = this.buckets.get(theBoard.getHash());
+
+    if (bucket === undefined) {
+      return false;
+    } else if (typeof bucket === "string") {
+      return bucket === theBoard.getNumId();
+    }
+    return bucket.indexOf(theBoard.getNumId()) !== -1;
+  }
+}
+
+
+/*
+ * Base class for the search algorithms. NPuzzle starts the search with
+ * startSolving() and then calls checkOneBoard() until it returns finished.
+ * Use Solver.create() to get the search algorithm by name.
+ */
+class Solver {
+  constructor() {
+    this.solving = false;
+    // Name of the heuristic used for the boards
+    this.heuristic = "manhattan";
+    // The most frontier boards and stored states seen by checkBoards()
+    this.peakFrontier = 0;
+    this.peakStored = 0;
+  }
+
+  /*
+	 * Create and return the search algorithm with the given name: "astar",
+	 * "idastar", "greedy", "bfs", "bibfs" or "mm". The heuristic is given by name, see
+	 * Board.registerHeuristic().
+	 */
+  static create(theAlgorithm, theHeuristic) {
+    let solver = null;
+
+    if (theAlgorithm == "idastar") {
+      solver = new IDAStarSolver();
+    } else if (theAlgorithm == "greedy") {
+      solver = new GreedySolver();
+    } else if (theAlgorithm == "bfs") {
+      solver = new BreadthFirstSolver();
+    } else if (theAlgorithm == "bibfs") {
+      solver = new BidirectionalBFSSolver();
+    } else if (theAlgorithm == "mm") {
+      solver = new MMSolver();
+    } else {
+      solver = new AStarSolver();
+    }
+
+    if (theHeuristic) {
+      solver.setHeuristic(theHeuristic);
+    }
+    return solver;
+  }
+
+  /*
+	 * Set the heuristic used on the next solving.
+	 */
+  setHeuristic(theHeuristic) {
+    this.heuristic = theHeuristic;
+  }
+
+  /*
+	 * Return the name of the heuristic shown in the UI.
+	 */
+  getHeuristicLabel() {
+    return Board.getHeuristic(this.heuristic).label;
+  }
+
+  /*
+	 * Return the text describing the algorithm and the cost returned by
+	 * getCost().
+	 */
+  getDescription() {
+    return "";
+  }
+
+  /*
+	 * Return the cost of the given board the algorithm uses to order the
+	 * boards.
+	 */
+  getCost(theBoard) {
+    return theBoard.getTotalCost();
+  }
+
+  /*
+	 * Returns the number of board positions already checked.
+	 */
+  getCheckedLength() {
+    return 0;
+  }
+
+  /*
+	 * Returns the number of board positions waiting to be checked.
+	 */
+  getFrontierLength() {
+    return 0;
+  }
+
+  /*
+	 * Returns the number of board states kept in memory: the frontier boards
+	 * and the ids of the checked ones.
+	 */
+  getStoredLength() {
+    return this.getCheckedLength() + this.getFrontierLength();
+  }
+
+  /*
+	 * Returns the largest frontier length of the search so far.
+	 */
+  getPeakFrontierLength() {
+    return this.peakFrontier;
+  }
+
+  /*
+	 * Returns the largest stored length of the search so far.
+	 */
+  getPeakStoredLength() {
+    return this.peakStored;
+  }
+
+  /*
+	 * Remember the frontier and stored lengths if they are the largest so far.
+	 */
+  updatePeaks() {
+    this.peakFrontier = Math.max(this.peakFrontier, this.getFrontierLength());
+    this.peakStored = Math.max(this.peakStored, this.getStoredLength());
+  }
+
+  /*
+	 * Returns the { name, checked, frontier } lengths of each side of a
+	 * bidirectional search, forward first. Empty for the other searches.
+	 */
+  getDirectionLengths() {
+    return [];
+  }
+
+  /*
+	 * Returns the boards waiting to be checked, in no particular order.
+	 */
+  getFrontierBoards() {
+    return [];
+  }
+
+  /*
+	 * Returns up to the given number of boards to be checked next, the next
+	 * one first.
+	 */
+  getNextBoards(theCount) {
+    return [];
+  }
+
+  /*
+	 * Return true if the solving is going on.
+	 */
+  isSolving() {
+    return this.solving;
+  }
+
+  /*
+	 * Starts the solving from the given board position. Returns false and
+	 * doesn't start if the board can't be solved. The heuristic must be ready.
+	 */
+  startSolving(theBoard) {
+    if (!theBoard.isSolvable()) {
+      return false;
+    }
+
+    theBoard.setHeuristic(this.heuristic);
+    this.startSearch(theBoard);
+    this.peakFrontier = 0;
+    this.peakStored = 0;
+    this.updatePeaks();
+    this.solving = true;
+    return true;
+  }
+
+  /*
+	 * Stops solving.
+	 */
+  stopSolving() {
+    this.clearSearch();
+    this.solving = false;
+  }
+
+  /*
+	 * Set up the search state for the given start board.
+	 */
+  startSearch(theBoard) {
+  }
+
+  /*
+	 * Release the search state.
+	 */
+  clearSearch() {
+  }
+
+  /*
+	 * Checks the next board. Returns the checked board and finished true if
+	 * it was the solution.
+	 */
+  checkOneBoard() {
+    return { finished: false, board:null };
+  }
+
+  /*
+	 * Checks boards until the solution is found, there is nothing left to
+	 * check or the given number of boards has been checked. Returns the result
+	 * of the last checkOneBoard(). Keeps the peak lengths up to date.
+	 */
+  checkBoards(theMaxCount) {
+    let result = { finished: false, board:null };
+
+    for (let i = 0; i < theMaxCount; i++) {
+      result = this.checkOneBoard();
+      this.updatePeaks();
+      if (result.finished || result.board === null) {
+        break;
+      }
+    }
+    return result;
+  }
+
+  /*
+   * Return a list of new frontier boards by moving the "0" to up, down, left and right and checking they are valid moves.
+   */
+  getNewFrontier(currentBoard) {
+    let newFrontier = [];
+    let zeroPos = currentBoard.zeroPosition();
+    let newBoard = null;
+    let position = 0;
+
+    let width = currentBoard.getWidth();
+    let size = width * currentBoard.getHeight();
+
+    // Check up
+    position = zeroPos - width;
+    if (position >= 0) {
+      newBoard = currentBoard.createChild("Up", position);
+      newFrontier.push(newBoard);
+    }
+
+    // Check down
+    position = zeroPos + width;
+    if (position < size) {
+      newBoard = currentBoard.createChild("Down", position);
+      newFrontier.push(newBoard);
+    }
+
+    // Check left
+    position = zeroPos - 1;
+    if (position >= 0) {	// ParseInt eats the -0 away
+      if (Math.floor(position / width) == Math.floor(zeroPos / width)) {
+        newBoard = currentBoard.createChild("Left", position);
+        newFrontier.push(newBoard);
+      }
+    }
+
+    // Check right
+    position = zeroPos + 1;
+    if (Math.floor(position / width) == Math.floor(zeroPos / width)) {
+      newBoard = currentBoard.createChild("Right", position);
+      newFrontier.push(newBoard);
+    }
+
+    return newFrontier;
+  }
+}
+
+
+/*
+ * Best-first search keeping all the found boards in memory. The board with the
+ * lowest cost is checked first.
+ */
+class BestFirstSolver extends Solver {
+  constructor() {
+    super();
+    this.frontier = new FrontierQueue();
+    this.checked = new BoardSet();
+  }
+
+  /*
+	 * Adds the given board to the set of already checked boards. Uses the
+	 * board hash and id as identifier.
+	 */
+  addChecked(theBoard) {
+    this.checked.add(theBoard);
+  }
+
+  /*
+	 * Return true if the given board has been already checked.
+	 */
+  alreadyChecked(theBoard) {
+    return this.checked.has(theBoard);
+  }
+
+  /*
+	 * Returns the number of unique board positions already checked.
+	 */
+  getCheckedLength() {
+    return this.checked.size;
+  }
+
+  /*
+	 * Returns the number of unique board positions waiting to be checked.
+	 */
+  getFrontierLength() {
+    return this.frontier.length;
+  }
+
+  getFrontierBoards() {
+    return this.frontier.heap.map((element) => element.board).filter((board) => !this.alreadyChecked(board));
+  }
+
+  getNextBoards(theCount) {
+    return this.frontier.peek(theCount, (element) => !this.alreadyChecked(element.board)).map((element) => element.board);
+  }
+
+  /*
+	 * Add the start board to the frontier.
+	 */
+  startSearch(theBoard) {
+    this.frontier.push( new FrontierElement(theBoard, this.getCost(theBoard)) );
+  }
+
+  /*
+	 * Clear the frontier and the checked boards.
+	 */
+  clearSearch() {
+    this.frontier = new FrontierQueue();
+    this.checked = new BoardSet();
+  }
+
+  /*
+	 * Checks one board which has the lowest estimated cost. If that is not the
+	 * solution, then expands it by moving the "0" and adding the new boards to
+	 * the frontier.
+	 */
+  checkOneBoard() {
+    let currentBoard = null;
+
+    // Skip the boards which were added to the frontier more than once and
+    // have been checked already through a cheaper path
+    while (this.frontier.length > 0 && this.alreadyChecked(this.frontier.heap[0].board)) {
+      this.frontier.shift();
+    }
+
+    // Do we have something to check
+    if (this.frontier.length > 0) {
+    	// Get the first board and add it to the list of checked boards
+      currentBoard = this.frontier.shift().board;
+      this.addChecked(currentBoard);
+
+      // Is it the end position
+      if (currentBoard.isEndPosition()) {
+    	  // Return the board containing the solution and tell we are done here.
+        return { finished: true, board:currentBoard };
+      }
+
+      // Create new frontier from the board (moving "0" to up, down, left and right)
+      let newFrontier = this.getNewFrontier(currentBoard);
+      let newBoard = null;
+
+      while (newFrontier.length > 0) {
+        newBoard = newFrontier.shift();
+        if (!this.alreadyChecked(newBoard)) {
+        	// The board is not already checked, add it to the frontier based on it's estimated cost
+          this.frontier.push( new FrontierElement(newBoard, this.getCost(newBoard)) );
+        }
+      }
+    }
+
+    // Return the checked board and tell we need more checks
+    return { finished: false, board:currentBoard };
+  }
+}
+
+
+/*
+ * A* search, orders the boards by the depth + the heuristic distance. Finds
+ * the shortest solution.
+ */
+class AStarSolver extends BestFirstSolver {
+  getDescription() {
+    return "A* search algorithm heuristic (using " + this.getHeuristicLabel() + ")";
+  }
+
+  getCost(theBoard) {
+    return theBoard.getTotalCost();
+  }
+}
+
+
+/*
+ * Greedy best-first search, orders the boards by the heuristic distance only.
+ * Fast, but the solution is usually not the shortest.
+ */
+class GreedySolver extends BestFirstSolver {
+  getDescription() {
+    return "Greedy best-first search heuristic (using " + this.getHeuristicLabel() + ")";
+  }
+
+  getCost(theBoard) {
+    return theBoard.getEstimatedDistance();
+  }
+}
+
+
+/*
+ * Breadth-first search, checks the boards in the order of their depth. Finds
+ * the shortest solution without a heuristic, but needs a lot of memory.
+ */
+class BreadthFirstSolver extends Solver {
+  constructor() {
+    super();
+    this.clearSearch();
+  }
+
+  getDescription() {
+    return "Breadth-first search depth";
+  }
+
+  getCost(theBoard) {
+    return theBoard.depth;
+  }
+
+  /*
+	 * Returns the number of board positions already checked.
+	 */
+  getCheckedLength() {
+    return this.checkedCount;
+  }
+
+  /*
+	 * Returns the number of board positions waiting to be checked.
+	 */
+  getFrontierLength() {
+    return this.queue.length - this.queueStart;
+  }
+
+  getFrontierBoards() {
+    return this.queue.slice(this.queueStart);
+  }
+
+  getNextBoards(theCount) {
+    return this.queue.slice(this.queueStart, this.queueStart + theCount);
+  }
+
+  /*
+	 * Add the start board to the queue.
+	 */
+  startSearch(theBoard) {
+    this.queue.push(theBoard);
+    this.found.add(theBoard);
+  }
+
+  /*
+	 * Clear the queue and the found boards.
+	 */
+  clearSearch() {
+    // The boards are taken from the start of the queue, the taken part is
+    // dropped only now and then to avoid moving the array on every check
+    this.queue = [];
+    this.queueStart = 0;
+    // All the boards added to the queue so far
+    this.found = new BoardSet();
+    this.checkedCount = 0;
+  }
+
+  /*
+	 * Checks the oldest board in the queue. If that is not the solution, then
+	 * adds the boards not found before to the end of the queue.
+	 */
+  checkOneBoard() {
+    if (this.getFrontierLength() === 0) {
+      return { finished: false, board:null };
+    }
+
+    let currentBoard = this.queue[this.queueStart];
+    this.queue[this.queueStart] = null;
+    this.queueStart++;
+    if (this.queueStart > 1024 && this.queueStart * 2 > this.queue.length) {
+      this.queue = this.queue.slice(this.queueStart);
+      this.queueStart = 0;
+    }
+    this.checkedCount++;
+
+    if (currentBoard.isEndPosition()) {
+      return { finished: true, board:currentBoard };
+    }
+
+    let newFrontier = this.getNewFrontier(currentBoard);
+    for (let i = 0; i < newFrontier.length; i++) {
+      if (!this.found.has(newFrontier[i])) {
+        this.found.add(newFrontier[i]);
+        this.queue.push(newFrontier[i]);
+      }
+    }
+
+    return { finished: false, board:currentBoard };
+  }
+}
+
+
+/*
+ * Iterative deepening A* search. Does depth-first searches where the boards
+ * with depth + heuristic distance over the cost limit are not expanded. The
+ * limit starts from the heuristic distance of the start board and is raised
+ * to the lowest cost over it after each round. Only the boards on the current
+ * path and their siblings are kept in memory. Finds the shortest solution.
+ */
+class IDAStarSolver extends Solver {
+  constructor() {
+    super();
+    this.clearSearch();
+  }
+
+  getDescription() {
+    return "IDA* search algorithm heuristic (using " + this.getHeuristicLabel() + ")";
+  }
+
+  getCost(theBoard) {
+    return theBoard.getTotalCost();
+  }
+
+  /*
+	 * Returns the number of board positions already checked, on all rounds.
+	 */
+  getCheckedLength() {
+    return this.checkedCount;
+  }
+
+  /*
+	 * Returns the number of board positions waiting to be checked on this
+	 * round.
+	 */
+  getFrontierLength() {
+    return this.stack.length;
+  }
+
+  /*
+	 * Returns the number of boards on the stack and on the path to them.
+	 */
+  getStoredLength() {
+    return this.stack.length + ((this.stack.length > 0) ? this.stack[this.stack.length - 1].depth : 0);
+  }
+
+  getFrontierBoards() {
+    return this.stack.slice(0);
+  }
+
+  getNextBoards(theCount) {
+    if (theCount <= 0) {
+      return [];
+    }
+    return this.stack.slice(-theCount).reverse();
+  }
+
+  /*
+	 * Start the first round from the given board.
+	 */
+  startSearch(theBoard) {
+    this.startBoard = theBoard;
+    this.costLimit = this.getCost(theBoard);
+    this.nextCostLimit = Infinity;
+    this.stack = [theBoard];
+  }
+
+  /*
+	 * Clear the search state.
+	 */
+  clearSearch() {
+    this.startBoard = null;
+    this.costLimit = 0;
+    // Lowest cost over the limit found on this round
+    this.nextCostLimit = Infinity;
+    // Boards to be checked on this round, next one last
+    this.stack = [];
+    this.checkedCount = 0;
+  }
+
+  /*
+	 * Checks the next board of the depth-first search. If that is not the
+	 * solution and it is within the cost limit, then adds the boards after
+	 * it to the stack. Starts the next round when the stack runs out.
+	 */
+  checkOneBoard() {
+    if (this.stack.length === 0) {
+      if (this.startBoard === null || this.nextCostLimit === Infinity) {
+        return { finished: false, board:null };
+      }
+      this.costLimit = this.nextCostLimit;
+      this.nextCostLimit = Infinity;
+      this.stack.push(this.startBoard);
+    }
+
+    let currentBoard = this.stack.pop();
+    let cost = this.getCost(currentBoard);
+    this.checkedCount++;
+
+    if (cost > this.costLimit) {
+      // Over the limit, remember the cost for the next round
+      this.nextCostLimit = Math.min(this.nextCostLimit, cost);
+      return { finished: false, board:currentBoard };
+    }
+
+    if (currentBoard.isEndPosition()) {
+      return { finished: true, board:currentBoard };
+    }
+
+    let parent = currentBoard.parent;
+    let newFrontier = this.getNewFrontier(currentBoard);
+
+    // Check the cheapest boards first, the move back to the parent is skipped
+    newFrontier.sort((a, b) => this.getCost(b) - this.getCost(a));
+    for (let i = 0; i < newFrontier.length; i++) {
+      if (parent === null || newFrontier[i].getNumId() !== parent.getNumId()) {
+        this.stack.push(newFrontier[i]);
+      }
+    }
+
+    return { finished: false, board:currentBoard };
+  }
+}
+
+
+/*
+ * Base class for the searches going both forwards from the start board and
+ * backwards from the goal. The boards of the backward side have the start
+ * board as their goal, so the heuristic estimates the distance back to it.
+ * Each side keeps the board with the shortest path found to every state.
+ * When a state is found by both sides the two paths are joined, and the
+ * shortest joined path is the solution.
+ */
+class BidirectionalSolver extends Solver {
+  constructor() {
+    super();
+    this.clearSearch();
+  }
+
+  /*
+	 * Returns the number of board positions checked by both sides.
+	 */
+  getCheckedLength() {
+    return this.sides.reduce((sum, side) => sum + side.checkedCount, 0);
+  }
+
+  /*
+	 * Returns the number of board positions waiting to be checked by both
+	 * sides.
+	 */
+  getFrontierLength() {
+    return this.sides.reduce((sum, side) => sum + this.getSideFrontierLength(side), 0);
+  }
+
+  /*
+	 * Returns the number of states found by both sides.
+	 */
+  getStoredLength() {
+    return this.sides.reduce((sum, side) => sum + side.found.size, 0);
+  }
+
+  getDirectionLengths() {
+    return this.sides.map((side) => ({
+      name: side.name,
+      checked: side.checkedCount,
+      frontier: this.getSideFrontierLength(side)
+    }));
+  }
+
+  /*
+	 * Returns the number of boards waiting to be checked by the given side.
+	 */
+  getSideFrontierLength(theSide) {
+    return 0;
+  }
+
+  /*
+	 * Start the forward side from the given board and the backward side from
+	 * its goal. Pattern databases have only the standard goal, so with them
+	 * the backward side uses the Manhattan distance.
+	 */
+  startSearch(theBoard) {
+    let width = theBoard.getWidth();
+    let height = theBoard.getHeight();
+    let goalBoard = new Board(null, theBoard.getGoal().getValues(), "", width, height,
+      new Goal("start", width, height, theBoard.getValues()));
+
+    goalBoard.setHeuristic(Board.getHeuristic(this.heuristic).isAvailable(goalBoard) ? this.heuristic : "manhattan");
+    this.sides = [this.createSide("forward"), this.createSide("backward")];
+    this.addFound(0, theBoard);
+    this.addFound(1, goalBoard);
+  }
+
+  /*
+	 * Clear both sides and the joined path.
+	 */
+  clearSearch() {
+    // The forward side and the backward side
+    this.sides = [];
+    // The forward and the backward board of the shortest joined path so far
+    this.meeting = null;
+    this.meetingLength = Infinity;
+  }
+
+  /*
+	 * Return the state of a side with the given name.
+	 */
+  createSide(theName) {
+    return {
+      name: theName,
+      // The board with the shortest path found so far by state id
+      found: new Map(),
+      checkedCount: 0
+    };
+  }
+
+  /*
+	 * Add the board to the frontier of the given side.
+	 */
+  addFrontier(theSideIndex, theBoard) {
+  }
+
+  /*
+	 * Return true if the board is shorter than the path found before to the
+	 * same state by the given side.
+	 */
+  isShorter(theSideIndex, theBoard) {
+    let found = this.sides[theSideIndex].found.get(theBoard.getNumId());
+    return found === undefined || theBoard.depth < found.depth;
+  }
+
+  /*
+	 * Add the board found by the given side to its frontier, and join it with
+	 * the path of the other side to the same state if that is the shortest
+	 * one so far.
+	 */
+  addFound(theSideIndex, theBoard) {
+    let other = this.sides[1 - theSideIndex].found.get(theBoard.getNumId());
+
+    this.sides[theSideIndex].found.set(theBoard.getNumId(), theBoard);
+    this.addFrontier(theSideIndex, theBoard);
+    if (other !== undefined && theBoard.depth + other.depth < this.meetingLength) {
+      this.meetingLength = theBoard.depth + other.depth;
+      this.meeting = (theSideIndex === 0) ? [theBoard, other] : [other, theBoard];
+    }
+  }
+
+  /*
+	 * Return the solution board: the forward board of the joined path
+	 * followed by the moves of the backward path done in reverse, from the
+	 * meeting state to the goal.
+	 */
+  createSolution() {
+    let [solution, backwardBoard] = this.meeting;
+
+    for (let board = backwardBoard; board.parent !== null; board = board.parent) {
+      let direction = Board.oppositeDirection(board.direction);
+      solution = solution.createChild(direction, solution.positionTowards(direction));
+    }
+    return solution;
+  }
+}
+
+
+/*
+ * Bidirectional breadth-first search. The sides check whole layers of the
+ * same depth in turns, the side with the smaller frontier checks the next
+ * layer. The first joined path is the shortest one, and it is found after
+ * checking about the square root of the boards breadth-first search checks.
+ */
+class BidirectionalBFSSolver extends BidirectionalSolver {
+  getDescription() {
+    return "Bidirectional breadth-first search depth";
+  }
+
+  getCost(theBoard) {
+    return theBoard.depth;
+  }
+
+  getSideFrontierLength(theSide) {
+    return theSide.queue.length - theSide.queueStart;
+  }
+
+  getFrontierBoards() {
+    return [].concat(...this.sides.map((side) => side.queue.slice(side.queueStart)));
+  }
+
+  getNextBoards(theCount) {
+    let sideIndex = this.nextSide();
+    if (sideIndex === -1) {
+      return [];
+    }
+    let side = this.sides[sideIndex];
+    return side.queue.slice(side.queueStart, side.queueStart + theCount);
+  }
+
+  /*
+	 * Start the first layer from the start board.
+	 */
+  startSearch(theBoard) {
+    super.startSearch(theBoard);
+    this.layerSide = 0;
+    this.layerDepth = 0;
+  }
+
+  clearSearch() {
+    super.clearSearch();
+    // The side checking its layer and the depth of the layer
+    this.layerSide = 0;
+    this.layerDepth = 0;
+  }
+
+  createSide(theName) {
+    let side = super.createSide(theName);
+    // The boards are taken from the start of the queue, see BreadthFirstSolver
+    side.queue = [];
+    side.queueStart = 0;
+    return side;
+  }
+
+  addFrontier(theSideIndex, theBoard) {
+    this.sides[theSideIndex].queue.push(theBoard);
+  }
+
+  /*
+	 * Return the index of the side checking the next board: the side of the
+	 * layer until the layer is done, then the side with the smaller frontier.
+	 * Returns -1 if there is nothing to check.
+	 */
+  nextSide() {
+    let layer = this.sides[this.layerSide];
+    if (this.getSideFrontierLength(layer) > 0 && layer.queue[layer.queueStart].depth === this.layerDepth) {
+      return this.layerSide;
+    }
+
+    let forwardLength = this.getSideFrontierLength(this.sides[0]);
+    let backwardLength = this.getSideFrontierLength(this.sides[1]);
+    if (forwardLength === 0 && backwardLength === 0) {
+      return -1;
+    }
+    return (forwardLength === 0 || (backwardLength > 0 && backwardLength < forwardLength)) ? 1 : 0;
+  }
+
+  /*
+	 * Finishes when the sides have met, otherwise checks the next board of
+	 * the layer and adds the boards its side hasn't found before.
+	 */
+  checkOneBoard() {
+    if (this.meeting !== null) {
+      return { finished: true, board:this.createSolution() };
+    }
+
+    let sideIndex = (this.sides.length > 0) ? this.nextSide() : -1;
+    if (sideIndex === -1) {
+      return { finished: false, board:null };
+    }
+
+    let side = this.sides[sideIndex];
+    let currentBoard = side.queue[side.queueStart];
+    side.queue[side.queueStart] = null;
+    side.queueStart++;
+    if (side.queueStart > 1024 && side.queueStart * 2 > side.queue.length) {
+      side.queue = side.queue.slice(side.queueStart);
+      side.queueStart = 0;
+    }
+    side.checkedCount++;
+    this.layerSide = sideIndex;
+    this.layerDepth = currentBoard.depth;
+
+    let newFrontier = this.getNewFrontier(currentBoard);
+    for (let i = 0; i < newFrontier.length; i++) {
+      if (this.isShorter(sideIndex, newFrontier[i])) {
+        this.addFound(sideIndex, newFrontier[i]);
+      }
+    }
+
+    return { finished: false, board:currentBoard };
+  }
+}
+
+
+/*
+ * MM, the bidirectional heuristic search which meets in the middle (Holte et
+ * al. 2016). Both sides order their boards by the larger of depth + the
+ * heuristic distance and twice the depth, so neither side goes past the half
+ * of the solution. The side with the lowest cost checks the next board. The
+ * shortest joined path is the solution once no board waiting on either side
+ * has a lower cost than its length.
+ */
+class MMSolver extends BidirectionalSolver {
+  getDescription() {
+    return "MM bidirectional search heuristic (using " + this.getHeuristicLabel() + ")";
+  }
+
+  getCost(theBoard) {
+    return Math.max(theBoard.getTotalCost(), 2 * theBoard.depth);
+  }
+
+  getSideFrontierLength(theSide) {
+    return theSide.frontier.length;
+  }
+
+  getFrontierBoards() {
+    return [].concat(...this.sides.map((side) =>
+      side.frontier.heap.map((element) => element.board).filter((board) => this.isCurrent(side, board))));
+  }
+
+  getNextBoards(theCount) {
+    let elements = [].concat(...this.sides.map((side) =>
+      side.frontier.peek(theCount, (element) => this.isCurrent(side, element.board))));
+    elements.sort((a, b) => a.isBefore(b) ? -1 : (b.isBefore(a) ? 1 : 0));
+    return elements.slice(0, theCount).map((element) => element.board);
+  }
+
+  createSide(theName) {
+    let side = super.createSide(theName);
+    side.frontier = new FrontierQueue();
+    return side;
+  }
+
+  addFrontier(theSideIndex, theBoard) {
+    this.sides[theSideIndex].frontier.push(new FrontierElement(theBoard, this.getCost(theBoard)));
+  }
+
+  /*
+	 * Return true if the board still has the shortest path found by the side
+	 * to its state.
+	 */
+  isCurrent(theSide, theBoard) {
+    return theSide.found.get(theBoard.getNumId()) === theBoard;
+  }
+
+  /*
+	 * Return the index of the side whose next board has the lower cost, -1
+	 * if neither has boards. Drops the boards a shorter path has been found
+	 * to since they were added.
+	 */
+  nextSide() {
+    let best = -1;
+
+    for (let i = 0; i < this.sides.length; i++) {
+      let frontier = this.sides[i].frontier;
+      while (frontier.length > 0 && !this.isCurrent(this.sides[i], frontier.heap[0].board)) {
+        frontier.shift();
+      }
+      if (frontier.length > 0 && (best === -1 || frontier.heap[0].isBefore(this.sides[best].frontier.heap[0]))) {
+        best = i;
+      }
+    }
+    return best;
+  }
+
+  /*
+	 * Finishes when no waiting board has a lower cost than the shortest joined
+	 * path, otherwise checks the cheapest board of either side and adds the
+	 * boards its side hasn't found as short before.
+	 */
+  checkOneBoard() {
+    let sideIndex = this.nextSide();
+    let lowestCost = (sideIndex === -1) ? Infinity : this.sides[sideIndex].frontier.heap[0].estimate;
+
+    if (this.meeting !== null && this.meetingLength <= lowestCost) {
+      return { finished: true, board:this.createSolution() };
+    }
+    if (sideIndex === -1) {
+      return { finished: false, board:null };
+    }
+
+    let side = this.sides[sideIndex];
+    let currentBoard = side.frontier.shift().board;
+    side.checkedCount++;
+
+    let newFrontier = this.getNewFrontier(currentBoard);
+    for (let i = 0; i < newFrontier.length; i++) {
+      if (this.isShorter(sideIndex, newFrontier[i])) {
+        this.addFound(sideIndex, newFrontier[i]);
+      }
+    }
+
+    return { finished: false, board:currentBoard };
+  }
+}
+
+
+/*
+ * Reads and writes sequences of moves, the directions the "0" moves to. The
+ * compact notation has a letter for each move, "UULDR", the verbose one the
+ * direction names, "Up, Up, Left, Down, Right". Both are read, separated by
+ * commas or white space and in any case.
+ */
+class MoveNotation {
+
+  /*
+   * The moves by their letters.
+   */
+  static letters() {
+    return { U: "Up", D: "Down", L: "Left", R: "Right" };
+  }
+
+  /*
+   * Parse the moves from the text and return them as direction names.
+   * Throws an error naming the first word which is not a move.
+   */
+  static parse(theText) {
+    let letters = MoveNotation.letters();
+    let directions = Object.values(letters);
+    let moves = [];
+
+    for (let word of theText.trim().split(/[\s,]+/)) {
+      if (word === "") {
+        continue;
+      }
+      let name = word.charAt(0).toUpperCase() + word.substring(1).toLowerCase();
+      if (directions.indexOf(name) != -1) {
+        moves.push(name);
+      } else if (/^[udlr]+$/i.test(word)) {
+        moves.push(...Array.from(word.toUpperCase(), (letter) => letters[letter]));
+      } else {
+        throw new Error("Invalid move: " + word);
+      }
+    }
+    return moves;
+  }
+
+  /*
+   * Return the moves in the "compact" or "verbose" notation.
+   */
+  static format(theMoves, theNotation) {
+    if (theNotation == "compact") {
+      return theMoves.map((move) => move.charAt(0)).join("");
+    }
+    return theMoves.join(", ");
+  }
+
+  /*
+   * Do the moves on a copy of the board until a move is not possible.
+   * Returns { board, applied, illegal }: the board after the moves done, the
+   * number of the moves done and the index of the move which is not
+   * possible, -1 if all were.
+   */
+  static apply(theBoard, theMoves) {
+    let board = new Board(null, theBoard.getValues(), "", theBoard.getWidth(), theBoard.getHeight(),
+      theBoard.getGoal().name);
+
+    for (let i = 0; i < theMoves.length; i++) {
+      let position = board.positionTowards(theMoves[i]);
+      if (position == -1) {
+        return { board: board, applied: i, illegal: i };
+      }
+      board.swapPositions(position);
+    }
+    return { board: board, applied: theMoves.length, illegal: -1 };
+  }
+
+  /*
+   * Check the moves solve the board. Returns the result of apply() with
+   * solved and the message telling why not, "" if solved.
+   */
+  static verify(theBoard, theMoves) {
+    let result = MoveNotation.apply(theBoard, theMoves);
+
+    result.solved = false;
+    if (result.illegal != -1) {
+      result.message = "Move " + (result.illegal + 1) + " (" + theMoves[result.illegal] + ") is not possible";
+    } else if (!result.board.isEndPosition()) {
+      result.message = "The moves don't solve the board";
+    } else {
+      result.solved = true;
+      result.message = "";
+    }
+    return result;
+  }
+}
+
+
+/*
+ * Reads and writes board positions and their solutions as text. Understands
+ *   - the tile numbers separated by commas or white space, square board
+ *   - grid text, one row per line, with the optional "Goal: <goal>" and
+ *     "Solution: <moves>" lines
+ *   - "<width>x<height>[-<goal>]:<tiles>[:<moves>]", also as the hash of a
+ *     URL: "#3x3:1,2,3,4,0,5,7,8,6", "#3x3-blanklast:1,2,3,4,5,6,7,0,8:R"
+ *   - JSON: { width, height, values, moves, goal }
+ * "0" is the empty cell and the moves are read and written by MoveNotation.
+ * The goal is written only when it is not "blankfirst", so a hash or JSON
+ * without one is solved to "blankfirst": a shared URL gives the same puzzle
+ * to everyone. The tile lists and the grid text without a goal are solved to
+ * the given one.
+ */
+class PositionFormat {
+
+  /*
+   * Parse the position from the text. A list of tile numbers uses the given
+   * width and height if given, otherwise the board must be square. The board
+   * is solved to the goal of the JSON or the hash, "blankfirst" if they have
+   * none, and a list or grid without a "Goal:" line to the given goal name,
+   * "blankfirst" if none. Returns { board, moves }. Throws an error if the text is not a
+   * valid position or the moves don't solve the board. Doesn't check if the
+   * board can be solved.
+   */
+  static parse(theText, theWidth, theHeight, theGoal) {
+    let text = theText.trim();
+    let position = null;
+
+    // Only the hash of a URL is looked at
+    if (text.indexOf("#") != -1) {
+      text = decodeURIComponent(text.substring(text.indexOf("#") + 1)).trim();
+    }
+
+    if (text.startsWith("{")) {
+      position = PositionFormat.parseJson(text);
+    } else if (/^\d+x\d+(-\w+)?:/.test(text)) {
+      position = PositionFormat.parseHash(text);
+    } else {
+      position = PositionFormat.parseGrid(text, theWidth, theHeight);
+    }
+
+    return PositionFormat.createPosition(position.values, position.width, position.height, position.moves,
+      position.goal || theGoal || "blankfirst");
+  }
+
+  /*
+   * Parse the JSON object written by format().
+   */
+  static parseJson(theText) {
+    let json = null;
+
+    try {
+      json = JSON.parse(theText);
+    } catch (error) {
+      throw new Error("Invalid JSON: " + error.message);
+    }
+    if (!Array.isArray(json.values)) {
+      throw new Error("The JSON has no tile values");
+    }
+    return {
+      values: json.values,
+      width: json.width,
+      height: json.height,
+      moves: Array.isArray(json.moves) ? MoveNotation.parse(json.moves.join(",")) : [],
+      goal: json.goal || "blankfirst"
+    };
+  }
+
+  /*
+   * Parse "<width>x<height>[-<goal>]:<tiles>[:<moves>]".
+   */
+  static parseHash(theText) {
+    let parts = theText.split(":");
+    let goal = parts[0].split("-");
+    let size = goal[0].split("x");
+
+    if (parts.length > 3) {
+      throw new Error("Too many parts in " + theText);
+    }
+    return {
+      values: PositionFormat.splitList(parts[1]).map(Number),
+      width: Number(size[0]),
+      height: Number(size[1]),
+      moves: (parts.length > 2) ? MoveNotation.parse(parts[2]) : [],
+      goal: goal[1] || "blankfirst"
+    };
+  }
+
+  /*
+   * Parse the tile numbers, one row per line or all on one line, and the
+   * optional "Goal: <goal>" and "Solution: <moves>" lines.
+   */
+  static parseGrid(theText, theWidth, theHeight) {
+    let rows = [];
+    let moves = [];
+    let goal = undefined;
+
+    for (let line of theText.split(/\r?\n/)) {
+      if (/^solution:/i.test(line.trim())) {
+        moves = MoveNotation.parse(line.trim().substring("solution:".length));
+      } else if (/^goal:/i.test(line.trim())) {
+        goal = line.trim().substring("goal:".length).trim();
+      } else if (line.trim() !== "") {
+        rows.push(PositionFormat.splitList(line).map(Number));
+      }
+    }
+
+    if (rows.length == 0) {
+      throw new Error("No board given");
+    }
+    if (rows.length > 1) {
+      // Grid, every row must be as long as the first
+      for (let row of rows) {
+        if (row.length != rows[0].length) {
+          throw new Error("All the rows must have " + rows[0].length + " numbers");
+        }
+      }
+      return { values: [].concat(...rows), width: rows[0].length, height: rows.length, moves: moves, goal: goal };
+    }
+
+    let values = rows[0];
+    if (theWidth > 0) {
+      return { values: values, width: theWidth, height: theHeight, moves: moves, goal: goal };
+    }
+    let sideCount = Math.round(Math.sqrt(values.length));
+    if (sideCount * sideCount != values.length) {
+      throw new Error("The board must be square, got " + values.length + " numbers");
+    }
+    return { values: values, width: sideCount, height: sideCount, moves: moves, goal: goal };
+  }
+
+  /*
+   * Split the list separated by commas or white space.
+   */
+  static splitList(theText) {
+    return theText.trim().split(/[\s,]+/).filter((item) => item !== "");
+  }
+
+  /*
+   * Check the values, the size, the goal and the moves and return
+   * { board, moves }.
+   */
+  static createPosition(theValues, theWidth, theHeight, theMoves, theGoal) {
+    if (!Number.isInteger(theWidth) || !Number.isInteger(theHeight) || theWidth < 2 || theHeight < 2) {
+      throw new Error("The width and height must be at least 2");
+    }
+    if (theWidth > 8 || theHeight > 8) {
+      throw new Error("The board can be at most 8 * 8");
+    }
+    if (theValues.length != theWidth * theHeight) {
+      throw new Error("The " + theWidth + "x" + theHeight + " board must have " + (theWidth * theHeight) +
+        " numbers, got " + theValues.length);
+    }
+    for (let i = 0; i < theValues.length; i++) {
+      if (theValues.indexOf(i) == -1) {
+        throw new Error("The board must have every number from 0 to " + (theValues.length - 1) + " once");
+      }
+    }
+    if (Goal.names().indexOf(theGoal) == -1) {
+      throw new Error("Unknown goal: " + theGoal);
+    }
+
+    let board = new Board(null, theValues, "", theWidth, theHeight, theGoal);
+    if (theMoves.length > 0) {
+      let check = MoveNotation.verify(board, theMoves);
+      if (!check.solved) {
+        throw new Error(check.message);
+      }
+    }
+    return { board: board, moves: theMoves.slice(0) };
+  }
+
+  /*
+   * Return the board and the moves solving it as "text" (grid, "Goal:" and
+   * "Solution:" lines), "json" or "hash"
+   * ("<width>x<height>[-<goal>]:<tiles>[:<moves>]", the moves in the compact
+   * notation of MoveNotation).
+   */
+  static format(theBoard, theMoves, theFormat) {
+    let values = theBoard.getValues();
+    let width = theBoard.getWidth();
+    let goal = theBoard.getGoal().name;
+
+    if (theFormat == "json") {
+      let json = { width: width, height: theBoard.getHeight(), values: values, moves: theMoves };
+      if (goal != "blankfirst") {
+        json.goal = goal;
+      }
+      return JSON.stringify(json);
+    }
+    if (theFormat == "hash") {
+      let hash = width + "x" + theBoard.getHeight() + ((goal != "blankfirst") ? "-" + goal : "") + ":" +
+        values.join(",");
+      if (theMoves.length > 0) {
+        hash += ":" + MoveNotation.format(theMoves, "compact");
+      }
+      return hash;
+    }
+
+    // Text, numbers aligned to the right
+    let cellWidth = String(values.length - 1).length;
+    let lines = [];
+    for (let i = 0; i < values.length; i += width) {
+      lines.push(values.slice(i, i + width).map((value) => String(value).padStart(cellWidth)).join(" "));
+    }
+    if (goal != "blankfirst") {
+      lines.push("Goal: " + goal);
+    }
+    if (theMoves.length > 0) {
+      lines.push("Solution: " + MoveNotation.format(theMoves, "verbose"));
+    }
+    return lines.join("\n");
+  }
+}
+
+
+/*
+ * Difficulty levels of the boards by the length of their shortest solution.
+ * Each board size has its own ranges, the hardest level goes up to the
+ * longest shortest solution of the size. The boards of a level are found by
+ * shuffling candidates and solving them optimally until one is in the range,
+ * see LevelGenerator (npuzzle.js). Larger boards than 2 * 5, 3 * 4 and 4 * 4
+ * take too long to solve optimally and have no levels.
+ */
+class Difficulty {
+
+  /*
+   * The level names, easiest first.
+   */
+  static levels() {
+    return ["easy", "medium", "hard", "expert"];
+  }
+
+  /*
+   * The [min, max] shortest solution lengths of the levels by board size,
+   * the shorter side first. The sides can be either way round, a turned board
+   * needs as many moves.
+   */
+  static ranges() {
+    return {
+      "2x2": [[1, 2], [3, 4], [5, 5], [6, 6]],
+      "2x3": [[3, 8], [9, 13], [14, 17], [18, 21]],
+      "2x4": [[5, 12], [13, 20], [21, 26], [27, 36]],
+      "2x5": [[8, 16], [17, 27], [28, 36], [37, 55]],
+      "3x3": [[4, 10], [11, 17], [18, 23], [24, 31]],
+      "3x4": [[8, 18], [19, 28], [29, 36], [37, 53]],
+      "4x4": [[10, 25], [26, 38], [39, 48], [49, 80]]
+    };
+  }
+
+  /*
+   * Return { min, max } shortest solution length of the level on the board
+   * size, null if the size has no levels. Throws an error for an unknown
+   * level.
+   */
+  static getRange(theLevel, theWidth, theHeight) {
+    let index = Difficulty.levels().indexOf(theLevel);
+    if (index == -1) {
+      throw new Error("Unknown difficulty level " + theLevel);
+    }
+
+    let ranges = Difficulty.ranges()[Math.min(theWidth, theHeight) + "x" + Math.max(theWidth, theHeight)];
+    if (ranges === undefined) {
+      return null;
+    }
+    return { min: ranges[index][0], max: ranges[index][1] };
+  }
+
+  /*
+   * Return true if the level has the shortest solution length on the board
+   * size.
+   */
+  static isInRange(theLevel, theWidth, theHeight, theLength) {
+    let range = Difficulty.getRange(theLevel, theWidth, theHeight);
+    return range !== null && theLength >= range.min && theLength <= range.max;
+  }
+
+  /*
+   * The part of the shortest solution length the heuristics estimate on the
+   * boards of the levels, roughly. Aims the random walks.
+   */
+  static estimateRatio() {
+    return 0.8;
+  }
+
+  /*
+   * Return the heuristic estimating the candidates, the best one that needs
+   * no pattern database.
+   */
+  static getHeuristic(theBoard) {
+    let walkingDistance = Board.getHeuristic("walkingdistance");
+    return walkingDistance.isAvailable(theBoard) ? walkingDistance : Board.getHeuristic("linearconflict");
+  }
+
+  /*
+   * Return a candidate board of the level shuffled from the given solved
+   * board with the SeededRandom, null if it is too hard already by its
+   * estimate. The hardest level takes uniformly random boards. The others
+   * take random walks, half of them going on until the estimate reaches a
+   * length aimed at in the range, as long walks mostly go back on their
+   * tracks, and half of a length from the range up to twice its longest
+   * solution, for the small boards the estimates miss most.
+   */
+  static createCandidate(theBoard, theLevel, theRandom) {
+    let range = Difficulty.getRange(theLevel, theBoard.getWidth(), theBoard.getHeight());
+    let board = new Board(null, theBoard.getValues(), "", theBoard.getWidth(), theBoard.getHeight(),
+      theBoard.getGoal().name);
+    let heuristic = Difficulty.getHeuristic(board);
+    let levels = Difficulty.levels();
+
+    if (theLevel == levels[levels.length - 1]) {
+      board.shuffleRandom(theRandom);
+    } else if (theRandom.nextInt(2) === 0) {
+      let aimed = range.min + theRandom.nextInt(range.max - range.min + 1);
+      let target = Math.round(aimed * Difficulty.estimateRatio());
+      for (let i = 0; i < 10 * range.max && heuristic.estimate(board) < target; i++) {
+        board.shuffle(1, theRandom);
+      }
+    } else {
+      board.shuffle(range.min + theRandom.nextInt(2 * range.max - range.min + 1), theRandom);
+    }
+
+    // The heuristic never estimates too many moves
+    if (heuristic.estimate(board) > range.max) {
+      return null;
+    }
+    return board;
+  }
+}
+
+
+/*
+ * The puzzle codes telling how a board was shuffled, so that the code gives
+ * the same board to everyone: "<width>x<height>[-<goal>]-<mode>-<seed>",
+ * e.g. "3x3-walk10-12345", "4x4-spiral-uniform-7" or "3x3-hard-77". The
+ * mode is "uniform", "walk" with the number of random moves or a difficulty
+ * level, the seed is the one of the SeededRandom. The goal is written only
+ * when it is not "blankfirst", as in PositionFormat. The board of a level
+ * code is the one LevelGenerator (npuzzle.js) finds from the seed, which
+ * depends on nothing else.
+ */
+class PuzzleCode {
+
+  /*
+   * Return the code of the puzzle { width, height, goal, mode, moveCount, seed }.
+   */
+  static format(thePuzzle) {
+    let mode = (thePuzzle.mode == "walk") ? "walk" + thePuzzle.moveCount : thePuzzle.mode;
+    let goal = (thePuzzle.goal != "blankfirst") ? "-" + thePuzzle.goal : "";
+    return thePuzzle.width + "x" + thePuzzle.height + goal + "-" + mode + "-" + thePuzzle.seed;
+  }
+
+  /*
+   * Read the code written by format(). Returns { width, height, goal, mode,
+   * moveCount, seed }, the move count is 0 for the modes other than "walk".
+   * Throws an error if the text is not a valid code.
+   */
+  static parse(theText) {
+    let match = /^(\d+)x(\d+)(?:-([a-z]+))?-([a-z]+)(\d*)-(\d+)$/.exec(String(theText).trim().toLowerCase());
+
+    if (match === null) {
+      throw new Error("The puzzle code must be like 3x3-walk10-12345: the size, the goal if not blankfirst, " +
+        "the shuffle and the puzzle number");
+    }
+    let goal = match[3] || "blankfirst";
+    if (Goal.names().indexOf(goal) == -1) {
+      throw new Error("Unknown goal " + goal + " in the puzzle code");
+    }
+    let mode = match[4];
+    if (mode == "walk" ? match[5] === "" || Number(match[5]) < 1 :
+      match[5] !== "" || (mode != "uniform" && Difficulty.levels().indexOf(mode) == -1)) {
+      throw new Error("Unknown shuffle " + mode + match[5] + " in the puzzle code");
+    }
+    return {
+      width: Number(match[1]),
+      height: Number(match[2]),
+      goal: goal,
+      mode: mode,
+      moveCount: (mode == "walk") ? Number(match[5]) : 0,
+      seed: SeededRandom.parseSeed(match[6])
+    };
+  }
+}
+
+
+/*
+ * Runs a Solver in batches, each batch checking boards for a while and then
+ * posting the progress. Between the batches the caller can cancel the run.
+ * Used by the Web Worker (solverworker.js), and by BackgroundSolver (npuzzle.js)
+ * on the page when workers can't be used.
+ *
+ * Posted messages:
+ *   { type: "progress", runId, checked, frontier, peakFrontier, peakStored, time, directions, distance, values }
+ *   { type: "finished", runId, checked, frontier, peakFrontier, peakStored, time, directions, moves }
+ *   { type: "unsolvable", runId }
+ *   { type: "error", runId, message }
+ * The runId is the one given to start(), the receiver drops the messages of
+ * the runs it has cancelled, they may be on their way already.
+ * The peaks are the largest frontier and stored lengths of the solver, the
+ * time is the milliseconds used since the heuristic was loaded and the
+ * directions are the lengths of the sides of a bidirectional search, see
+ * Solver.getDirectionLengths().
+ */
+class BatchRunner {
+  constructor(thePost) {
+    this.post = thePost;
+    this.solver = null;
+    this.timer = -1;
+    this.startTime = 0;
+    this.runId = 0;
+  }
+
+  /*
+   * How long one batch runs, in milliseconds.
+   */
+  static batchTime() {
+    return 100;
+  }
+
+  /*
+   * Start solving the given board values, size and goal name with the given
+   * algorithm and heuristic. The messages of the run have the given run id.
+   * Cancels the earlier run.
+   */
+  start(theValues, theWidth, theHeight, theGoal, theAlgorithm, theHeuristic, theRunId) {
+    let solver = Solver.create(theAlgorithm, theHeuristic);
+
+    this.cancel();
+    this.solver = solver;
+    this.runId = theRunId;
+
+    Board.getHeuristic(theHeuristic).load().then(() => {
+      if (this.solver !== solver) {
+        // Cancelled while loading
+        return;
+      }
+      this.startTime = Date.now();
+      if (solver.startSolving(new Board(null, theValues, "", theWidth, theHeight, theGoal))) {
+        this.runBatch();
+      } else {
+        this.solver = null;
+        this.postRun({ type: "unsolvable" });
+      }
+    }, (error) => {
+      if (this.solver === solver) {
+        this.solver = null;
+        this.postRun({ type: "error", message: error.message });
+      }
+    });
+  }
+
+  /*
+   * Post the message of the run with its id.
+   */
+  postRun(theMessage) {
+    theMessage.runId = this.runId;
+    this.post(theMessage);
+  }
+
+  /*
+   * Cancel the run.
+   */
+  cancel() {
+    clearTimeout(this.timer);
+    if (this.solver !== null) {
+      this.solver.stopSolving();
+      this.solver = null;
+    }
+  }
+
+  /*
+   * Check boards until the batch time is used or the search ends, then post
+   * the result and start the next batch if needed.
+   */
+  runBatch() {
+    let solver = this.solver;
+    let end = Date.now() + BatchRunner.batchTime();
+    let result = null;
+
+    do {
+      result = solver.checkBoards(1000);
+    } while (!result.finished && result.board !== null && Date.now() < end);
+
+    if (result.finished) {
+      let message = {
+        type: "finished",
+        checked: solver.getCheckedLength(),
+        frontier: solver.getFrontierLength(),
+        peakFrontier: solver.getPeakFrontierLength(),
+        peakStored: solver.getPeakStoredLength(),
+        time: Date.now() - this.startTime,
+        directions: solver.getDirectionLengths(),
+        moves: result.board.getDirections()
+      };
+      // Cancel first, the receiver may start the next run right away
+      this.cancel();
+      this.postRun(message);
+    } else if (result.board === null) {
+      this.cancel();
+      this.postRun({ type: "error", message: "No solution found" });
+    } else {
+      this.postRun({
+        type: "progress",
+        checked: solver.getCheckedLength(),
+        frontier: solver.getFrontierLength(),
+        peakFrontier: solver.getPeakFrontierLength(),
+        peakStored: solver.getPeakStoredLength(),
+        time: Date.now() - this.startTime,
+        directions: solver.getDirectionLengths(),
+        distance: solver.getCost(result.board),
+        values: result.board.getValues()
+      });
+      this.timer = setTimeout(this.runBatch.bind(this), 0);
+    }
+  }
+}
+
+
+/*
+ * Export the model and the solvers when loaded as a Node module. In the
+ * browser and in the worker the classes are globals.
+ */
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    Board, Goal, SeededRandom, Heuristic, ManhattanHeuristic, LinearConflictHeuristic, WalkingDistanceHeuristic,
+    PatternDatabase, PatternDatabaseHeuristic, FrontierElement, FrontierQueue, BoardSet,
+    Solver, AStarSolver, IDAStarSolver, GreedySolver, BreadthFirstSolver,
+    BidirectionalSolver, BidirectionalBFSSolver, MMSolver, MoveNotation, PositionFormat, Difficulty, PuzzleCode,
+    BatchRunner
+  };
+}
@@ -0,0 +1,23 @@
+'use strict';
+
+/*
+ * Web Worker solving the puzzle in the background, started by
+ * BackgroundSolver. Receives the commands
+ *   { command: "solve", runId, values, width, height, goal, algorithm, heuristic }
+ *   { command: "cancel" }
+ * and posts back the messages of BatchRunner.
+ */
+importScripts("npuzzlecore.js");
+
+let runner = new BatchRunner((message) => postMessage(message));
+
+onmessage = function(event) {
+  let command = event.data;
+
+  if (command.command == "solve") {
+    runner.start(command.values, command.width, command.height, command.goal, command.algorithm, command.heuristic,
+      command.runId);
+  } else if (command.command == "cancel") {
+    runner.cancel();
+  }
+};
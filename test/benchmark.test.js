@@ -0,0 +1,72 @@
+'use strict';
+
+/*
+ * Tests for the benchmark command of bin/npuzzle.js with the problem sets of
+ * problems/.
+ *
+ * Run: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+/*
+ * Run the command line tool with the arguments and return the exit code and
+ * the output.
+ */
+function runTool(theArguments) {
+  let result = spawnSync(process.execPath, [path.join(__dirname, "..", "bin", "npuzzle.js")].concat(theArguments),
+    { encoding: "utf8", timeout: 60000 });
+  return { status: result.status, output: result.stdout };
+}
+
+test.describe("npuzzle benchmark", () => {
+  let problems = path.join(__dirname, "..", "problems", "3x3.txt");
+
+  test.it("solves the 3 * 3 set with the recorded lengths", () => {
+    let { status, output } = runTool(["benchmark", problems, "--json"]);
+    let report = JSON.parse(output);
+
+    assert.strictEqual(status, 0);
+    assert.strictEqual(report.summary.positions, 91);
+    assert.strictEqual(report.summary.optimal, 91);
+    assert.ok(report.results.every((result) => result.length == result.recorded && result.expanded > 0));
+    assert.strictEqual(report.results[report.results.length - 1].length, 31);
+  });
+
+  test.it("solves the 4 * 4 set with the recorded lengths", () => {
+    let { status, output } = runTool(["benchmark", path.join(__dirname, "..", "problems", "4x4.txt"), "--json"]);
+    let report = JSON.parse(output);
+
+    assert.strictEqual(status, 0);
+    assert.strictEqual(report.summary.positions, 9);
+    assert.strictEqual(report.summary.optimal, 9);
+    assert.ok(report.summary.expandedPerSecond > 0);
+  });
+
+  test.it("reports the positions not solved within the limits", () => {
+    let { status, output } = runTool(["benchmark", problems, "--csv", "--max-checks", "100"]);
+    let lines = output.trim().split("\n");
+
+    assert.strictEqual(status, 2);
+    assert.strictEqual(lines.length, 92);
+    assert.strictEqual(lines[0], "line,board,recorded,length,optimal,solved,expanded,peakFrontier,peakStored,time");
+    assert.ok(lines[1].startsWith('12,"3x3:3,1,2,0,4,5,6,7,8",1,1,true,true,'));
+    assert.ok(lines[91].startsWith('102,"3x3:8,0,6,5,4,7,2,3,1",31,-1,,false,100,'));
+  });
+
+  test.it("reads Korf's 100 15-puzzle instances with their lengths", () => {
+    let korf = path.join(__dirname, "..", "problems", "korf100.txt");
+    let { status, output } = runTool(["benchmark", korf, "--json", "--algorithm", "idastar",
+      "--heuristic", "walkingdistance", "--max-checks", "20000"]);
+    let report = JSON.parse(output);
+
+    assert.strictEqual(status, 2);
+    assert.strictEqual(report.summary.positions, 100);
+    assert.ok(report.summary.solved > 0);
+    assert.strictEqual(report.summary.optimal, report.summary.solved);
+    assert.strictEqual(report.results[0].recorded, 57);
+    assert.strictEqual(report.results.reduce((theSum, theResult) => theSum + theResult.recorded, 0), 5305);
+  });
+});
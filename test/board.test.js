@@ -0,0 +1,318 @@
+'use strict';
+
+/*
+ * Tests for Board: moves, ids, shuffling, solvability and the neighbours
+ * generated for the search.
+ *
+ * Run: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { Board, Solver, SeededRandom, PuzzleCode } = require("../npuzzlecore.js");
+
+/*
+ * Return the solved values of the board with the given side count.
+ */
+function solvedValues(theSideCount) {
+  return Array.from({ length: theSideCount * theSideCount }, (value, i) => i);
+}
+
+/*
+ * Assert the values have every number from 0 up once.
+ */
+function assertPermutation(theValues) {
+  assert.deepStrictEqual(theValues.slice(0).sort((a, b) => a - b), solvedValues(Math.sqrt(theValues.length)));
+}
+
+test.describe("Board.swapPositions", () => {
+  test.it("moves the tile to the 0 position", () => {
+    let board = new Board(null, solvedValues(3), "");
+
+    board.swapPositions(1);
+    assert.deepStrictEqual(board.getValues(), [1, 0, 2, 3, 4, 5, 6, 7, 8]);
+    assert.strictEqual(board.zeroPosition(), 1);
+
+    board.swapPositions(4);
+    assert.deepStrictEqual(board.getValues(), [1, 4, 2, 3, 0, 5, 6, 7, 8]);
+  });
+
+  test.it("updates the id, the hash and the distance as if counted from scratch", () => {
+    let board = new Board(null, solvedValues(4), "");
+    let moves = [1, 2, 6, 10, 9, 5, 4, 8, 12, 13];
+
+    for (let move of moves) {
+      board.swapPositions(move);
+      let counted = new Board(null, board.getValues(), "");
+      assert.strictEqual(board.getNumId(), counted.getNumId());
+      assert.strictEqual(board.getHash(), counted.getHash());
+      assert.strictEqual(board.getEstimatedDistance(), counted.getEstimatedDistance());
+    }
+  });
+});
+
+test.describe("Board.getNumId", () => {
+  test.it("is different for states which concatenate to the same digits", () => {
+    // "1,12" and "11,2" both concatenate to "112"
+    let first = new Board(null, [0, 1, 12, 3, 4, 5, 6, 7, 8, 9, 10, 11, 2, 13, 14, 15], "");
+    let second = new Board(null, [0, 11, 2, 3, 4, 5, 6, 7, 8, 9, 10, 1, 12, 13, 14, 15], "");
+
+    assert.notStrictEqual(first.getNumId(), second.getNumId());
+  });
+
+  test.it("is the same for the same state", () => {
+    assert.strictEqual(new Board(null, solvedValues(5), "").getNumId(), new Board(null, solvedValues(5), "").getNumId());
+  });
+});
+
+test.describe("Board.isEndPosition", () => {
+  test.it("is true only for the solved state", () => {
+    for (let sideCount = 3; sideCount <= 5; sideCount++) {
+      let board = new Board(null, solvedValues(sideCount), "");
+      assert.strictEqual(board.isEndPosition(), true);
+
+      board.swapPositions(1);
+      assert.strictEqual(board.isEndPosition(), false);
+    }
+  });
+});
+
+test.describe("Board.countEstimatedDistance", () => {
+  test.it("counts the Manhattan distance", () => {
+    assert.strictEqual(new Board(null, solvedValues(3), "").countEstimatedDistance(), 0);
+    assert.strictEqual(new Board(null, [1, 0, 2, 3, 4, 5, 6, 7, 8], "").countEstimatedDistance(), 1);
+    // 8 is two rows and two columns away, the rest are in place
+    assert.strictEqual(new Board(null, [8, 1, 2, 3, 4, 5, 6, 7, 0], "").countEstimatedDistance(), 4);
+    // The 0 is not counted
+    assert.strictEqual(new Board(null, [15, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 0], "").countEstimatedDistance(), 6);
+  });
+});
+
+test.describe("Board.shuffle", () => {
+  test.it("keeps the board a solvable permutation", () => {
+    for (let sideCount = 3; sideCount <= 5; sideCount++) {
+      for (let i = 0; i < 20; i++) {
+        let board = new Board(null, solvedValues(sideCount), "");
+        board.shuffle(30);
+        assertPermutation(board.getValues());
+        assert.strictEqual(board.isSolvable(), true);
+        assert.strictEqual(board.getNumId(), board.countId());
+      }
+    }
+  });
+
+  test.it("moves the 0 the given number of times", () => {
+    let board = new Board(null, solvedValues(3), "");
+
+    board.shuffle(1);
+    assert.strictEqual(board.getEstimatedDistance(), 1);
+  });
+
+  test.it("shuffleRandom gives solvable permutations", () => {
+    for (let sideCount = 3; sideCount <= 5; sideCount++) {
+      for (let i = 0; i < 20; i++) {
+        let board = new Board(null, solvedValues(sideCount), "");
+        board.shuffleRandom();
+        assertPermutation(board.getValues());
+        assert.strictEqual(board.isSolvable(), true);
+        assert.strictEqual(board.getHash(), board.countHash());
+      }
+    }
+  });
+});
+
+test.describe("SeededRandom", () => {
+  test.it("gives the same numbers from the same seed", () => {
+    let first = new SeededRandom(12345);
+    let second = new SeededRandom(12345);
+    let other = new SeededRandom(12346);
+    let numbers = Array.from({ length: 100 }, () => first.next());
+
+    assert.deepStrictEqual(Array.from({ length: 100 }, () => second.next()), numbers);
+    assert.notDeepStrictEqual(Array.from({ length: 100 }, () => other.next()), numbers);
+    assert.ok(numbers.every((number) => number >= 0 && number < 1));
+    assert.strictEqual(first.getSeed(), 12345);
+    assert.ok(new SeededRandom().getSeed() <= SeededRandom.maxSeed());
+  });
+
+  test.it("shuffles the same board from the same seed", () => {
+    for (let sideCount = 3; sideCount <= 5; sideCount++) {
+      let boards = [];
+      for (let i = 0; i < 4; i++) {
+        let board = new Board(null, solvedValues(sideCount), "");
+        if (i < 2) {
+          board.shuffle(50, new SeededRandom(7));
+        } else {
+          board.shuffleRandom(new SeededRandom(7));
+        }
+        boards.push(board.getValues());
+      }
+      assert.deepStrictEqual(boards[1], boards[0]);
+      assert.deepStrictEqual(boards[3], boards[2]);
+    }
+  });
+
+  test.it("reads the puzzle numbers", () => {
+    assert.strictEqual(SeededRandom.parseSeed(" 4294967295 "), 4294967295);
+    assert.strictEqual(SeededRandom.parseSeed("0"), 0);
+    for (let text of ["", "-1", "1.5", "4294967296", "abc"]) {
+      assert.throws(() => SeededRandom.parseSeed(text), /whole number from 0 to 4294967295/, text);
+    }
+  });
+
+  test.it("has the same daily seed for the whole UTC day", () => {
+    let morning = new Date(Date.UTC(2024, 4, 31, 0, 1));
+    let evening = new Date(Date.UTC(2024, 4, 31, 23, 59));
+
+    assert.strictEqual(SeededRandom.dateText(morning), "2024-05-31");
+    assert.strictEqual(SeededRandom.dateText(new Date("2024-05-31T23:30:00-05:00")), "2024-06-01");
+    assert.strictEqual(SeededRandom.dailySeed(morning), SeededRandom.dailySeed(evening));
+    assert.notStrictEqual(SeededRandom.dailySeed(new Date(Date.UTC(2024, 5, 1))), SeededRandom.dailySeed(morning));
+  });
+});
+
+test.describe("PuzzleCode", () => {
+  test.it("reads the codes it writes", () => {
+    let puzzles = [
+      { width: 3, height: 3, goal: "blankfirst", mode: "walk", moveCount: 10, seed: 12345 },
+      { width: 4, height: 4, goal: "spiral", mode: "uniform", moveCount: 0, seed: 0 },
+      { width: 2, height: 5, goal: "blanklast", mode: "expert", moveCount: 0, seed: 4294967295 }
+    ];
+
+    assert.strictEqual(PuzzleCode.format(puzzles[0]), "3x3-walk10-12345");
+    assert.strictEqual(PuzzleCode.format(puzzles[1]), "4x4-spiral-uniform-0");
+    for (let puzzle of puzzles) {
+      assert.deepStrictEqual(PuzzleCode.parse(PuzzleCode.format(puzzle)), puzzle);
+    }
+    assert.deepStrictEqual(PuzzleCode.parse(" 3X3-Hard-77 "),
+      { width: 3, height: 3, goal: "blankfirst", mode: "hard", moveCount: 0, seed: 77 });
+  });
+
+  test.it("rejects the invalid codes", () => {
+    for (let text of ["", "12345", "3x3-12345", "3x3-walk-1", "3x3-walk0-1", "3x3-uniform5-1", "3x3-easier-1",
+      "3x3-round-uniform-1"]) {
+      assert.throws(() => PuzzleCode.parse(text), Error, text);
+    }
+    assert.throws(() => PuzzleCode.parse("3x3-uniform-4294967296"), /whole number from 0 to 4294967295/);
+  });
+});
+
+test.describe("Board.isSolvable", () => {
+  test.it("is false when two tiles are swapped", () => {
+    for (let sideCount = 3; sideCount <= 5; sideCount++) {
+      let values = solvedValues(sideCount);
+      values[1] = 2;
+      values[2] = 1;
+      assert.strictEqual(new Board(null, values, "").isSolvable(), false);
+    }
+  });
+
+  test.it("counts the row of the 0 on even side counts", () => {
+    // The 0 moved one row down keeps the inversions at 0 on odd sides...
+    assert.strictEqual(new Board(null, [3, 1, 2, 0, 4, 5, 6, 7, 8], "").isSolvable(), true);
+    // ...and the same with the 4 * 4 board
+    assert.strictEqual(new Board(null, [4, 1, 2, 3, 0, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15], "").isSolvable(), true);
+    // Moving the 0 a row down without moving the tiles breaks even sides only
+    assert.strictEqual(new Board(null, [1, 2, 3, 0, 4, 5, 6, 7, 8], "").isSolvable(), true);
+    assert.strictEqual(new Board(null, [1, 2, 3, 4, 0, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15], "").isSolvable(), false);
+  });
+});
+
+test.describe("Rectangular boards", () => {
+  test.it("keep the width and height in the children", () => {
+    let board = new Board(null, [0, 1, 2, 3, 4, 5, 6, 7], "", 4, 2);
+    let child = board.createChild("Down", board.positionTowards("Down"));
+
+    assert.strictEqual(child.getWidth(), 4);
+    assert.strictEqual(child.getHeight(), 2);
+    assert.strictEqual(child.zeroPosition(), 4);
+    assert.strictEqual(child.positionTowards("Down"), -1);
+    assert.strictEqual(child.positionTowards("Right"), 5);
+  });
+
+  test.it("are solvable exactly when reachable from the solved state", () => {
+    for (let [width, height] of [[2, 3], [3, 2], [4, 2]]) {
+      let solver = Solver.create("bfs");
+      let values = Array.from({ length: width * height }, (value, i) => i);
+      let reached = new Set([new Board(null, values, "", width, height).getNumId()]);
+      let layer = [new Board(null, values, "", width, height)];
+
+      while (layer.length > 0) {
+        let nextLayer = [];
+        for (let board of layer) {
+          for (let child of solver.getNewFrontier(board)) {
+            if (!reached.has(child.getNumId())) {
+              reached.add(child.getNumId());
+              nextLayer.push(child);
+            }
+          }
+        }
+        layer = nextLayer;
+      }
+
+      // Half of the permutations can be reached
+      let permutationCount = 1;
+      for (let i = 2; i <= width * height; i++) {
+        permutationCount *= i;
+      }
+      assert.strictEqual(reached.size, permutationCount / 2);
+
+      for (let i = 0; i < 50; i++) {
+        let board = new Board(null, values, "", width, height);
+        board.shuffleRandom();
+        assert.strictEqual(board.isSolvable(), true);
+        assert.strictEqual(reached.has(board.getNumId()), true);
+
+        // Swapping two tiles makes it unreachable
+        let swapped = board.getValues();
+        let first = (swapped[0] === 0) ? 1 : 0;
+        let second = (swapped[2] === 0) ? 1 : 2;
+        [swapped[first], swapped[second]] = [swapped[second], swapped[first]];
+        board = new Board(null, swapped, "", width, height);
+        assert.strictEqual(board.isSolvable(), false);
+        assert.strictEqual(reached.has(board.getNumId()), false);
+      }
+    }
+  });
+});
+
+test.describe("Solver.getNewFrontier", () => {
+  test.it("moves the 0 to every direction inside the board, at every position", () => {
+    let solver = Solver.create("astar");
+
+    for (let [width, height] of [[3, 3], [4, 4], [5, 5], [2, 4], [5, 3]]) {
+      for (let zeroPos = 0; zeroPos < width * height; zeroPos++) {
+        let values = Array.from({ length: width * height }, (value, i) => i);
+        values[0] = values[zeroPos];
+        values[zeroPos] = 0;
+
+        let x = zeroPos % width;
+        let y = Math.floor(zeroPos / width);
+        let expected = new Map();
+        if (y > 0) {
+          expected.set("Up", zeroPos - width);
+        }
+        if (y < height - 1) {
+          expected.set("Down", zeroPos + width);
+        }
+        if (x > 0) {
+          expected.set("Left", zeroPos - 1);
+        }
+        if (x < width - 1) {
+          expected.set("Right", zeroPos + 1);
+        }
+
+        let board = new Board(null, values, "", width, height);
+        let frontier = solver.getNewFrontier(board);
+        let found = new Map(frontier.map((child) => [child.direction, child.zeroPosition()]));
+        assert.deepStrictEqual(found, expected, width + " * " + height + ", 0 at " + zeroPos);
+
+        for (let child of frontier) {
+          assert.strictEqual(child.parent, board);
+          assert.strictEqual(child.depth, 1);
+          assert.strictEqual(child.getValues()[zeroPos], values[child.zeroPosition()]);
+          assert.strictEqual(board.positionTowards(child.direction), child.zeroPosition());
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+/*
+ * Tests for Goal and for solving the boards to the other goals than the
+ * default "blankfirst": solvability, the heuristics and the solvers.
+ *
+ * Run: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { Board, Goal, Solver } = require("../npuzzlecore.js");
+
+/*
+ * Return the shortest solution length of every state reachable from the goal
+ * by id, counted by breadth-first search.
+ */
+function countAllDistances(theGoal) {
+  let start = new Board(null, theGoal.getValues(), "", theGoal.width, theGoal.height, theGoal.name);
+  let distances = new Map([[start.getNumId(), 0]]);
+  let layer = [start];
+  let solver = Solver.create("bfs");
+
+  for (let distance = 1; layer.length > 0; distance++) {
+    let nextLayer = [];
+    for (let board of layer) {
+      for (let child of solver.getNewFrontier(board)) {
+        if (!distances.has(child.getNumId())) {
+          distances.set(child.getNumId(), distance);
+          nextLayer.push(new Board(null, child.getValues(), "", theGoal.width, theGoal.height, theGoal.name));
+        }
+      }
+    }
+    layer = nextLayer;
+  }
+  return distances;
+}
+
+/*
+ * Return the values of the state id.
+ */
+function idValues(theId) {
+  return Array.from(theId, (c) => c.charCodeAt(0));
+}
+
+test.describe("Goal", () => {
+  test.it("creates the solved values of every goal", () => {
+    assert.deepStrictEqual(Goal.get("blankfirst", 3, 3).getValues(), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.deepStrictEqual(Goal.get("blanklast", 3, 3).getValues(), [1, 2, 3, 4, 5, 6, 7, 8, 0]);
+    assert.deepStrictEqual(Goal.get("spiral", 3, 3).getValues(), [1, 2, 3, 8, 0, 4, 7, 6, 5]);
+    assert.deepStrictEqual(Goal.get("spiral", 4, 4).getValues(),
+      [1, 2, 3, 4, 12, 13, 14, 5, 11, 0, 15, 6, 10, 9, 8, 7]);
+    assert.deepStrictEqual(Goal.get("spiral", 4, 2).getValues(), [1, 2, 3, 4, 0, 7, 6, 5]);
+    assert.throws(() => Goal.get("sideways", 3, 3), /Unknown goal/);
+  });
+
+  test.it("is shared by the boards and their children", () => {
+    let board = new Board(null, [1, 2, 3, 4, 5, 6, 7, 0, 8], "", 3, 3, "blanklast");
+    let child = board.createChild("Right", board.positionTowards("Right"));
+
+    assert.strictEqual(board.getGoal(), Goal.get("blanklast", 3, 3));
+    assert.strictEqual(child.getGoal(), board.getGoal());
+    assert.strictEqual(board.isEndPosition(), false);
+    assert.strictEqual(child.isEndPosition(), true);
+    assert.strictEqual(new Board(null, [0, 1, 2, 3], "").getGoal().name, "blankfirst");
+  });
+});
+
+for (let name of ["blanklast", "spiral"]) {
+  test.describe(name + " goal", () => {
+    test.it("can be solved exactly from the reachable states", () => {
+      for (let [width, height] of [[3, 2], [2, 3], [4, 2]]) {
+        let goal = Goal.get(name, width, height);
+        let distances = countAllDistances(goal);
+
+        for (let i = 0; i < 50; i++) {
+          let board = new Board(null, goal.getValues(), "", width, height, name);
+          board.shuffleRandom();
+          assert.strictEqual(board.isSolvable(), true);
+          assert.strictEqual(distances.has(board.getNumId()), true);
+
+          let swapped = board.getValues();
+          let first = (swapped[0] === 0) ? 1 : 0;
+          let second = (swapped[2] === 0) ? 1 : 2;
+          [swapped[first], swapped[second]] = [swapped[second], swapped[first]];
+          board = new Board(null, swapped, "", width, height, name);
+          assert.strictEqual(board.isSolvable(), false);
+        }
+      }
+    });
+
+    test.it("has admissible heuristics, 0 at the goal", () => {
+      let goal = Goal.get(name, 3, 3);
+      let i = 0;
+
+      for (let [id, distance] of countAllDistances(goal)) {
+        if (i++ % 97 !== 0) {
+          continue;
+        }
+        for (let heuristic of ["manhattan", "linearconflict", "walkingdistance"]) {
+          let board = new Board(null, idValues(id), "", 3, 3, name);
+          board.setHeuristic(heuristic);
+          assert.ok(board.getEstimatedDistance() <= distance, heuristic + " for " + idValues(id));
+          if (distance === 0) {
+            assert.strictEqual(board.getEstimatedDistance(), 0);
+          }
+        }
+      }
+    });
+
+    test.it("is solved optimally by A* and IDA*", () => {
+      for (let i = 0; i < 5; i++) {
+        let board = new Board(null, Goal.get(name, 3, 3).getValues(), "", 3, 3, name);
+        board.shuffleRandom();
+
+        let lengths = [];
+        for (let [algorithm, heuristic] of [["bfs", "manhattan"], ["astar", "manhattan"],
+            ["astar", "linearconflict"], ["astar", "walkingdistance"], ["idastar", "walkingdistance"]]) {
+          let solver = Solver.create(algorithm, heuristic);
+          solver.startSolving(new Board(null, board.getValues(), "", 3, 3, name));
+          let result = solver.checkBoards(Infinity);
+          assert.strictEqual(result.finished, true);
+          assert.strictEqual(result.board.isEndPosition(), true);
+          lengths.push(result.board.depth);
+        }
+        assert.ok(lengths.every((length) => length == lengths[0]), "Board " + board.getValues() + ": " + lengths);
+      }
+    });
+
+    test.it("can't use the pattern databases", () => {
+      assert.strictEqual(Board.getHeuristic("pdb663").isAvailable(new Board(null, Goal.get(name, 4, 4).getValues(), "",
+        4, 4, name)), false);
+    });
+  });
+}
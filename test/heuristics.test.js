@@ -0,0 +1,128 @@
+'use strict';
+
+/*
+ * Checks that the heuristics never estimate more moves than the shortest
+ * solution really has.
+ *
+ * Run: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { Board, Solver, SeededRandom, PatternDatabaseHeuristic } = require("../npuzzlecore.js");
+
+/*
+ * Return the shortest solution length of every 3 * 3 state by id, counted by
+ * breadth-first search from the solved state.
+ */
+function countAllDistances() {
+  let distances = new Map();
+  let layer = [new Board(null, [0, 1, 2, 3, 4, 5, 6, 7, 8], "")];
+  let distance = 0;
+
+  distances.set(layer[0].getNumId(), 0);
+  while (layer.length > 0) {
+    let nextLayer = [];
+    distance++;
+    for (let board of layer) {
+      for (let child of Solver.create("bfs").getNewFrontier(board)) {
+        if (!distances.has(child.getNumId())) {
+          distances.set(child.getNumId(), distance);
+          nextLayer.push(new Board(null, child.getValues(), ""));
+        }
+      }
+    }
+    layer = nextLayer;
+  }
+  return distances;
+}
+
+/*
+ * Return the 4 * 4 board shuffled by the given number of random moves from
+ * the solved state with the SeededRandom and its shortest solution length.
+ * The length is found with the Manhattan distance, the simplest of the
+ * heuristics, so the ones checked against it are not their own reference.
+ */
+function createSolvedFromPosition(theMoveCount, theRandom) {
+  let board = new Board(null, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15], "");
+  let solver = Solver.create("idastar", "manhattan");
+  let result = null;
+
+  board.shuffle(theMoveCount, theRandom);
+  solver.startSolving(new Board(null, board.getValues(), ""));
+  do {
+    result = solver.checkOneBoard();
+  } while (!result.finished);
+
+  return { values: board.getValues(), distance: result.board.depth };
+}
+
+/*
+ * Assert the heuristic doesn't overestimate the given positions.
+ */
+function assertAdmissible(theHeuristic, thePositions) {
+  for (let position of thePositions) {
+    let board = new Board(null, position.values, "");
+    let estimate = theHeuristic.estimate(board);
+    assert.ok(estimate <= position.distance, theHeuristic.name + " estimates " + estimate +
+      " for " + position.values + " with distance " + position.distance);
+  }
+}
+
+test.describe("3 * 3 heuristics", () => {
+  let positions = [];
+  let distances = countAllDistances();
+  let i = 0;
+
+  // Every 97th of the 181440 solvable states, the solved one included
+  for (let [id, distance] of distances) {
+    if (i++ % 97 === 0) {
+      positions.push({ values: Array.from(id, (c) => c.charCodeAt(0)), distance: distance });
+    }
+  }
+
+  for (let name of ["manhattan", "linearconflict", "walkingdistance"]) {
+    test.it(name + " is admissible", () => {
+      assertAdmissible(Board.getHeuristic(name), positions);
+    });
+  }
+
+  test.it("additive pattern databases are admissible", () => {
+    let heuristic = new PatternDatabaseHeuristic("pdb44", "4-4 pattern databases", 3, 3,
+      [[1, 2, 3, 4], [5, 6, 7, 8]]);
+    heuristic.build();
+    assertAdmissible(heuristic, positions);
+  });
+
+  test.it("solved state is estimated 0", () => {
+    for (let name of ["manhattan", "linearconflict", "walkingdistance"]) {
+      assert.strictEqual(Board.getHeuristic(name).estimate(new Board(null, [0, 1, 2, 3, 4, 5, 6, 7, 8], "")), 0);
+    }
+  });
+});
+
+test.describe("4 * 4 heuristics", () => {
+  let positions = [];
+  let random = new SeededRandom(2024);
+
+  for (let i = 0; i < 20; i++) {
+    positions.push(createSolvedFromPosition(20 + i, random));
+  }
+
+  for (let name of ["manhattan", "linearconflict", "walkingdistance"]) {
+    test.it(name + " is admissible", () => {
+      assertAdmissible(Board.getHeuristic(name), positions);
+    });
+  }
+
+  for (let name of ["pdb663", "pdb78"]) {
+    let heuristic = Board.getHeuristic(name);
+    let built = fs.existsSync(path.join(__dirname, "..", heuristic.getFileName()));
+
+    test.it(name + " is admissible", { skip: !built && "run node tools/buildpdb.js " + name }, async () => {
+      await heuristic.load();
+      assertAdmissible(heuristic, positions);
+    });
+  }
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+/*
+ * Tests for MoveNotation: reading and writing the moves in the compact and
+ * verbose notations and checking them on a board.
+ *
+ * Run: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { Board, MoveNotation } = require("../npuzzlecore.js");
+
+test.describe("MoveNotation.parse", () => {
+  test.it("reads the compact and the verbose notation", () => {
+    let moves = ["Up", "Up", "Left", "Down", "Right"];
+
+    for (let text of ["UULDR", "uuldr", "U U L D R", "Up, Up, Left, Down, Right", "up up LEFT down right",
+        "UU, Left, DR", " UULDR\n"]) {
+      assert.deepStrictEqual(MoveNotation.parse(text), moves, text);
+    }
+    assert.deepStrictEqual(MoveNotation.parse(""), []);
+  });
+
+  test.it("names the first word which is not a move", () => {
+    assert.throws(() => MoveNotation.parse("UU, Sideways, Dx"), /Invalid move: Sideways/);
+    assert.throws(() => MoveNotation.parse("ULX"), /Invalid move: ULX/);
+  });
+});
+
+test.describe("MoveNotation.format", () => {
+  test.it("writes the moves so that they read back the same", () => {
+    let moves = ["Down", "Right", "Up", "Left"];
+
+    assert.strictEqual(MoveNotation.format(moves, "compact"), "DRUL");
+    assert.strictEqual(MoveNotation.format(moves, "verbose"), "Down, Right, Up, Left");
+    for (let notation of ["compact", "verbose"]) {
+      assert.deepStrictEqual(MoveNotation.parse(MoveNotation.format(moves, notation)), moves, notation);
+    }
+  });
+});
+
+test.describe("MoveNotation.verify", () => {
+  let board = new Board(null, [1, 2, 5, 3, 4, 0, 6, 7, 8], "");
+
+  test.it("accepts the moves solving the board", () => {
+    let result = MoveNotation.verify(board, MoveNotation.parse("ULL"));
+
+    assert.strictEqual(result.solved, true);
+    assert.strictEqual(result.applied, 3);
+    assert.strictEqual(result.illegal, -1);
+    assert.strictEqual(result.board.isEndPosition(), true);
+    // The board itself is not moved
+    assert.deepStrictEqual(board.getValues(), [1, 2, 5, 3, 4, 0, 6, 7, 8]);
+  });
+
+  test.it("reports the first move which is not possible", () => {
+    let result = MoveNotation.verify(board, MoveNotation.parse("ULLL"));
+
+    assert.strictEqual(result.solved, false);
+    assert.strictEqual(result.illegal, 3);
+    assert.strictEqual(result.applied, 3);
+    assert.strictEqual(result.message, "Move 4 (Left) is not possible");
+    assert.strictEqual(MoveNotation.apply(board, ["Right"]).illegal, 0);
+  });
+
+  test.it("tells when the moves end before the board is solved", () => {
+    let result = MoveNotation.verify(board, ["Up", "Left", "Left", "Down", "Up"]);
+    assert.strictEqual(result.solved, true);
+
+    result = MoveNotation.verify(board, ["Up", "Left"]);
+    assert.strictEqual(result.solved, false);
+    assert.strictEqual(result.illegal, -1);
+    assert.match(result.message, /don't solve/);
+  });
+
+  test.it("works on rectangular boards", () => {
+    let wide = new Board(null, [1, 2, 0, 3, 4, 5], "", 3, 2);
+
+    assert.strictEqual(MoveNotation.verify(wide, MoveNotation.parse("LL")).solved, true);
+    assert.strictEqual(MoveNotation.verify(wide, MoveNotation.parse("R")).illegal, 0);
+  });
+});
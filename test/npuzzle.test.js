@@ -0,0 +1,1029 @@
+'use strict';
+
+/*
+ * Tests for the page classes of npuzzle.js: SolutionAnimator and a smoke test
+ * of NPuzzleView, run on main.html in jsdom.
+ *
+ * Run: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+/*
+ * Load main.html with its scripts and return the window once loaded. The
+ * page has the given storage as its localStorage, jsdom has none for file:
+ * pages.
+ */
+async function loadPage(theStorage) {
+  let virtualConsole = new VirtualConsole();
+  // jsdom can't parse all of main.css, show the other errors only
+  virtualConsole.forwardTo(console, { jsdomErrors: ["unhandled-exception", "resource-loading", "not-implemented"] });
+
+  let dom = await JSDOM.fromFile(path.join(__dirname, "..", "main.html"), {
+    runScripts: "dangerously",
+    resources: "usable",
+    pretendToBeVisual: true,
+    virtualConsole: virtualConsole,
+    beforeParse: (window) => {
+      if (theStorage) {
+        Object.defineProperty(window, "localStorage", { value: theStorage });
+      }
+    }
+  });
+
+  await new Promise((resolve) => dom.window.addEventListener("load", resolve));
+  return dom.window;
+}
+
+/*
+ * Wait until the condition is true, checking every 10 ms.
+ */
+async function waitFor(theCondition, theTimeout) {
+  let end = Date.now() + theTimeout;
+
+  while (!theCondition()) {
+    if (Date.now() > end) {
+      throw new Error("Timed out");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/*
+ * Return an object with the methods of Storage keeping the items in a Map.
+ */
+function createStorage() {
+  let items = new Map();
+
+  return {
+    items: items,
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+/*
+ * Return the tile elements of the board by their position, row by row.
+ */
+function shownTiles(theWindow) {
+  let tiles = [];
+  for (let tile of theWindow.document.querySelectorAll("#board .tile")) {
+    tiles[Number(tile.dataset.position)] = tile;
+  }
+  return tiles;
+}
+
+/*
+ * Return the numbers shown on the board, row by row.
+ */
+function shownValues(theWindow) {
+  return shownTiles(theWindow).map((tile) => Number(tile.textContent));
+}
+
+test.describe("SolutionAnimator", () => {
+  let window = null;
+  let Board = null;
+  let SolutionAnimator = null;
+
+  test.before(async () => {
+    window = await loadPage();
+    // Classes declared in the page scripts are not window properties
+    Board = window.eval("Board");
+    SolutionAnimator = window.eval("SolutionAnimator");
+  });
+
+  test.after(() => window.close());
+
+  /*
+   * Return the start board and the solution board reached by the moves.
+   */
+  function createSolution(theValues, theMoves) {
+    let start = new Board(null, theValues, "");
+    let solution = start;
+
+    for (let move of theMoves) {
+      solution = solution.createChild(move, solution.positionTowards(move));
+    }
+    return { start: start, solution: solution };
+  }
+
+  test.it("builds the solution string from the board chain", () => {
+    let { start, solution } = createSolution([1, 4, 2, 3, 5, 8, 6, 7, 0], ["Up", "Left", "Up", "Left"]);
+    let animator = new SolutionAnimator(start, solution, { setBoard() {}, showSolutionStep() {} });
+
+    assert.strictEqual(solution.isEndPosition(), true);
+    assert.strictEqual(animator.getSolutionString(), "Up, Left, Up, Left");
+  });
+
+  test.it("shows the start and then every step in order", () => {
+    let { start, solution } = createSolution([1, 4, 2, 3, 5, 8, 6, 7, 0], ["Up", "Left", "Up", "Left"]);
+    let shown = [];
+    let animator = new SolutionAnimator(start, solution, { setBoard(board) { shown.push(board.getValues()); }, showSolutionStep() {} });
+
+    assert.strictEqual(animator.animateSolution(), true);
+    for (let i = 0; i < 4; i++) {
+      animator.animateOneStep();
+    }
+    animator.stopAnimating();
+
+    let expected = [start.getValues()];
+    let board = new Board(null, start.getValues(), "");
+    for (let move of ["Up", "Left", "Up", "Left"]) {
+      board.swapPositions(board.positionTowards(move));
+      expected.push(board.getValues());
+    }
+    assert.deepStrictEqual(shown, expected);
+  });
+
+  test.it("steps forwards and backwards and plays backwards from the end", () => {
+    let { start, solution } = createSolution([1, 4, 2, 3, 5, 8, 6, 7, 0], ["Up", "Left", "Up", "Left"]);
+    let shown = [];
+    let states = [];
+    let animator = new SolutionAnimator(start, solution, {
+      setBoard(board) { shown.push(board.getValues()); },
+      showSolutionStep(index, count, playing) { states.push([index, count, playing]); }
+    });
+
+    assert.strictEqual(animator.getStepCount(), 4);
+    animator.showStep(3);
+    animator.showStep(10);
+    assert.strictEqual(animator.getStepIndex(), 4);
+    assert.deepStrictEqual(shown[1], [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+
+    // From the end backwards, the start is shown last
+    assert.strictEqual(animator.play(-1), true);
+    assert.deepStrictEqual(states[states.length - 1], [4, 4, true]);
+    for (let i = 0; i < 5; i++) {
+      animator.animateOneStep();
+    }
+    assert.strictEqual(animator.getStepIndex(), 0);
+    assert.strictEqual(animator.isAnimating(), false);
+    assert.deepStrictEqual(shown[shown.length - 1], start.getValues());
+    assert.deepStrictEqual(states[states.length - 1], [0, 4, false]);
+
+    // Forwards from the start again, paused
+    animator.play(1);
+    animator.stopAnimating();
+    assert.strictEqual(animator.getStepIndex(), 0);
+  });
+
+  test.it("has nothing to animate without a solution", () => {
+    let board = new Board(null, [0, 1, 2, 3, 4, 5, 6, 7, 8], "");
+    let animator = new SolutionAnimator(board, board, { setBoard() {}, showSolutionStep() {} });
+
+    assert.strictEqual(animator.animateSolution(), false);
+  });
+});
+
+test.describe("NPuzzleView", () => {
+  let window = null;
+  let document = null;
+
+  test.before(async () => {
+    window = await loadPage();
+    document = window.document;
+  });
+
+  test.after(() => window.close());
+
+  test.it("shows the solved 3 * 3 board at start", () => {
+    assert.deepStrictEqual(shownValues(window), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  test.it("slides the tiles faster with the faster speed", () => {
+    let board = document.getElementById("board");
+
+    assert.strictEqual(board.style.getPropertyValue("--slide-time"), "150ms");
+    window.npuzzle.setSpeed(100);
+    assert.strictEqual(board.style.getPropertyValue("--slide-time"), "50ms");
+    window.npuzzle.setSpeed(800);
+    assert.strictEqual(board.style.getPropertyValue("--slide-time"), "150ms");
+  });
+
+  test.it("moves the 0 with the arrow keys", () => {
+    document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowRight" }));
+    assert.deepStrictEqual(shownValues(window), [1, 0, 2, 3, 4, 5, 6, 7, 8]);
+
+    document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowUp" }));
+    assert.deepStrictEqual(shownValues(window), [1, 0, 2, 3, 4, 5, 6, 7, 8]);
+
+    document.getElementById("reset").click();
+    assert.deepStrictEqual(shownValues(window), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  test.it("moves with the WASD keys, the tiles when set so", () => {
+    let orientation = document.getElementById("keyOrientationSelection");
+
+    document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "s" }));
+    assert.deepStrictEqual(shownValues(window), [3, 1, 2, 0, 4, 5, 6, 7, 8]);
+
+    orientation.value = "tile";
+    orientation.dispatchEvent(new window.Event("change"));
+    // The tile under the 0 moves up, the 0 down
+    document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowUp" }));
+    assert.deepStrictEqual(shownValues(window), [3, 1, 2, 6, 4, 5, 0, 7, 8]);
+    document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "W" }));
+    assert.deepStrictEqual(shownValues(window), [3, 1, 2, 6, 4, 5, 0, 7, 8]);
+
+    orientation.value = "blank";
+    orientation.dispatchEvent(new window.Event("change"));
+    document.getElementById("reset").click();
+  });
+
+  test.it("slides the clicked tile and the tiles between it and the 0", () => {
+    shownTiles(window)[2].click();
+    assert.deepStrictEqual(shownValues(window), [1, 2, 0, 3, 4, 5, 6, 7, 8]);
+    shownTiles(window)[8].click();
+    assert.deepStrictEqual(shownValues(window), [1, 2, 5, 3, 4, 8, 6, 7, 0]);
+
+    // Not on the row or the column of the 0
+    shownTiles(window)[0].click();
+    assert.deepStrictEqual(shownValues(window), [1, 2, 5, 3, 4, 8, 6, 7, 0]);
+    document.getElementById("reset").click();
+  });
+
+  test.it("moves the tile next to the 0 with a swipe", () => {
+    let board = document.getElementById("board");
+
+    function swipe(theDx, theDy) {
+      for (let [type, x, y] of [["touchstart", 100, 100], ["touchend", 100 + theDx, 100 + theDy]]) {
+        let event = new window.Event(type);
+        event.changedTouches = [{ clientX: x, clientY: y }];
+        board.dispatchEvent(event);
+      }
+    }
+
+    // The tile right of the 0 moves left
+    swipe(-50, 5);
+    assert.deepStrictEqual(shownValues(window), [1, 0, 2, 3, 4, 5, 6, 7, 8]);
+    // Too short to be a swipe
+    swipe(0, -10);
+    assert.deepStrictEqual(shownValues(window), [1, 0, 2, 3, 4, 5, 6, 7, 8]);
+    swipe(0, -60);
+    assert.deepStrictEqual(shownValues(window), [1, 4, 2, 3, 0, 5, 6, 7, 8]);
+    document.getElementById("reset").click();
+  });
+
+  test.it("counts the moves, undoes and redoes them and compares to the shortest solution", async () => {
+    let play = document.getElementById("play");
+
+    function press(theKey, theCtrl) {
+      document.dispatchEvent(new window.KeyboardEvent("keydown", { key: theKey, ctrlKey: theCtrl }));
+    }
+
+    window.npuzzle.loadPosition("3x3:3,1,2,4,0,5,6,7,8");
+    await waitFor(() => play.textContent.endsWith("optimal: 2 moves"), 5000);
+    assert.strictEqual(play.textContent, "Moves: 0, time: 0 s, optimal: 2 moves");
+
+    press("ArrowRight");
+    assert.deepStrictEqual(shownValues(window), [3, 1, 2, 4, 5, 0, 6, 7, 8]);
+    assert.match(play.textContent, /^Moves: 1,/);
+
+    press("z", true);
+    assert.deepStrictEqual(shownValues(window), [3, 1, 2, 4, 0, 5, 6, 7, 8]);
+    assert.match(play.textContent, /^Moves: 0,/);
+    document.getElementById("redo").click();
+    assert.deepStrictEqual(shownValues(window), [3, 1, 2, 4, 5, 0, 6, 7, 8]);
+    document.getElementById("undo").click();
+    // Nothing more to undo
+    press("z", true);
+    assert.deepStrictEqual(shownValues(window), [3, 1, 2, 4, 0, 5, 6, 7, 8]);
+
+    press("ArrowLeft");
+    press("ArrowUp");
+    assert.strictEqual(play.textContent, "Solved in 2 moves / 0 seconds, optimal: 2 moves");
+    // The clock stops when solved and goes on after the next move
+    assert.strictEqual(window.npuzzle.playTimer, -1);
+    // A new move clears the redo history
+    press("ArrowDown");
+    assert.notStrictEqual(window.npuzzle.playTimer, -1);
+    press("z", true);
+    press("y", true);
+    press("y", true);
+    assert.deepStrictEqual(shownValues(window), [3, 1, 2, 0, 4, 5, 6, 7, 8]);
+    assert.match(play.textContent, /^Moves: 3,/);
+
+    document.getElementById("reset").click();
+    assert.strictEqual(play.textContent, "Moves: 0, time: 0 s");
+  });
+
+  test.it("highlights the next move of the shortest solution as a hint", async () => {
+    let hint = document.getElementById("hintText");
+
+    window.npuzzle.loadPosition("3x3:3,1,2,4,0,5,6,7,8");
+    document.getElementById("hint").click();
+    await waitFor(() => hint.textContent.startsWith("Move"), 5000);
+    assert.strictEqual(hint.textContent, "Move 4 right, 2 moves to go");
+    assert.deepStrictEqual(Array.from(document.querySelectorAll("#board .tile.hint"), (tile) => tile.textContent), ["4"]);
+    // The game is not changed
+    assert.deepStrictEqual(shownValues(window), [3, 1, 2, 4, 0, 5, 6, 7, 8]);
+
+    // Moving clears the hint
+    document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowLeft" }));
+    assert.strictEqual(hint.textContent, "");
+    assert.strictEqual(document.querySelectorAll("#board .tile.hint").length, 0);
+
+    // On the shortest solution of the game the hint is known already
+    await waitFor(() => window.npuzzle.optimalLength != -1, 5000);
+    document.getElementById("hintDistance").checked = false;
+    document.getElementById("hint").click();
+    assert.strictEqual(hint.textContent, "Move 3 down");
+    assert.strictEqual(window.npuzzle.hintSolver.isSolving(), false);
+
+    // Off it the hint is looked for
+    document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowDown" }));
+    document.getElementById("hint").click();
+    assert.strictEqual(hint.textContent, "Looking for the best move...");
+    await waitFor(() => hint.textContent.startsWith("Move"), 5000);
+    assert.strictEqual(hint.textContent, "Move 6 down");
+
+    document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowUp" }));
+    document.getElementById("hint").click();
+    assert.strictEqual(hint.textContent, "Move 3 down");
+    document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowUp" }));
+    document.getElementById("hint").click();
+    assert.strictEqual(hint.textContent, "The board is solved");
+    document.getElementById("reset").click();
+  });
+
+  test.it("shuffles and solves the board", async () => {
+    document.getElementById("shuffle").click();
+    assert.notDeepStrictEqual(shownValues(window), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+
+    document.getElementById("solve").click();
+    // The tiles can't be moved while solving
+    let values = window.npuzzle.board.getValues();
+    document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowRight" }));
+    document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowDown" }));
+    assert.deepStrictEqual(window.npuzzle.board.getValues(), values);
+    window.npuzzle.solvingSpeedInMs = 1;
+    await waitFor(() => document.getElementById("counter").textContent.startsWith("Solved"), 10000);
+    // The shuffled board is back
+    assert.deepStrictEqual(shownValues(window), Array.from(values));
+    assert.notStrictEqual(document.getElementById("distance").textContent, "");
+  });
+
+  test.it("shows the search in the search panel", async () => {
+    document.getElementById("showSearchPanel").checked = true;
+    document.getElementById("showSearchTree").checked = true;
+    window.npuzzle.loadPosition("3x3:3,1,2,4,0,5,6,7,8");
+    document.getElementById("solve").click();
+    window.npuzzle.setSpeed(1);
+
+    // g, h and f of the start board
+    assert.strictEqual(document.getElementById("searchPanel").hidden, false);
+    assert.deepStrictEqual(Array.from(document.querySelectorAll("#nextBoards td"), (cell) => cell.textContent),
+      ["1", "Start", "0", "2", "2"]);
+
+    await waitFor(() => document.getElementById("counter").textContent.startsWith("Solved"), 5000);
+    assert.deepStrictEqual(Array.from(document.querySelectorAll("#searchTree .path"), (node) => node.textContent),
+      ["Start f=2", "Left f=2", "Up f=2"]);
+    assert.notStrictEqual(document.querySelector("#histogram rect"), null);
+    assert.notStrictEqual(document.querySelector("#chart polyline"), null);
+
+    document.getElementById("showSearchPanel").checked = false;
+    document.getElementById("showSearchPanel").dispatchEvent(new window.Event("change"));
+    assert.strictEqual(document.getElementById("searchPanel").hidden, true);
+    window.npuzzle.setSpeed(800);
+  });
+
+  test.it("plays the solution step by step and with the scrubber", () => {
+    let shuffled = shownValues(window);
+    let scrubber = document.getElementById("playerScrubber");
+    let moveCount = document.querySelectorAll("#distance .move").length;
+
+    assert.strictEqual(document.getElementById("player").hidden, false);
+    assert.strictEqual(scrubber.max, String(moveCount));
+
+    document.getElementById("playerEnd").click();
+    assert.deepStrictEqual(shownValues(window), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.strictEqual(scrubber.value, String(moveCount));
+    assert.strictEqual(document.querySelector("#distance .current"), document.querySelectorAll("#distance .move")[moveCount - 1]);
+
+    document.getElementById("playerBack").click();
+    assert.notDeepStrictEqual(shownValues(window), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+    document.getElementById("playerForward").click();
+    assert.deepStrictEqual(shownValues(window), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+
+    scrubber.value = "0";
+    scrubber.dispatchEvent(new window.Event("input"));
+    assert.deepStrictEqual(shownValues(window), shuffled);
+    assert.strictEqual(document.querySelector("#distance .current"), null);
+
+    document.getElementById("playerPlay").click();
+    assert.strictEqual(document.getElementById("playerPlay").textContent, "Pause");
+    document.getElementById("playerPlay").click();
+    assert.strictEqual(document.getElementById("playerPlay").textContent, "Play");
+
+    document.getElementById("playerStart").click();
+    assert.deepStrictEqual(shownValues(window), shuffled);
+  });
+
+  test.it("loads and exports positions", () => {
+    let text = document.getElementById("position");
+    let format = document.getElementById("positionFormat");
+
+    text.value = "1 2 0\n3 4 5\n";
+    document.getElementById("load").click();
+    assert.deepStrictEqual(shownValues(window), [1, 2, 0, 3, 4, 5]);
+    assert.strictEqual(document.getElementById("boardWidth").value, "3");
+    assert.strictEqual(document.getElementById("boardHeight").value, "2");
+
+    format.value = "url";
+    document.getElementById("export").click();
+    assert.match(text.value, /main\.html#3x2:1,2,0,3,4,5$/);
+
+    // An unsolvable board is not loaded
+    text.value = "2,1,0,3,4,5,6,7,8";
+    document.getElementById("load").click();
+    assert.deepStrictEqual(shownValues(window), [1, 2, 0, 3, 4, 5]);
+    assert.strictEqual(document.getElementById("counter").textContent, "This board can not be solved");
+
+    // The solution given with the position is exported with its start
+    window.location.hash = "#3x3:3,1,2,4,0,5,6,7,8:Left,Up";
+    window.npuzzle.loadPosition(window.location.hash);
+    assert.deepStrictEqual(shownValues(window), [3, 1, 2, 4, 0, 5, 6, 7, 8]);
+    assert.strictEqual(document.getElementById("distance").textContent, "Left, Up");
+    document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowLeft" }));
+    format.value = "json";
+    document.getElementById("export").click();
+    assert.deepStrictEqual(JSON.parse(text.value),
+      { width: 3, height: 3, values: [3, 1, 2, 4, 0, 5, 6, 7, 8], moves: ["Left", "Up"] });
+  });
+
+  test.it("checks the moves given by the user and plays them", () => {
+    let moves = document.getElementById("moves");
+    let counter = document.getElementById("counter");
+
+    window.npuzzle.loadPosition("3x3:1,2,5,3,4,0,6,7,8");
+    moves.value = "UL";
+    document.getElementById("checkMoves").click();
+    assert.strictEqual(counter.textContent, "The moves don't solve the board");
+    moves.value = "ULLL";
+    document.getElementById("checkMoves").click();
+    assert.strictEqual(counter.textContent, "Move 4 (Left) is not possible");
+    moves.value = "U, Left, x";
+    document.getElementById("checkMoves").click();
+    assert.strictEqual(counter.textContent, "Invalid move: x");
+
+    moves.value = "U, Left, l";
+    document.getElementById("checkMoves").click();
+    assert.match(counter.textContent, /^The 3 moves solve the board/);
+    assert.strictEqual(document.getElementById("distance").textContent, "Up, Left, Left");
+    assert.deepStrictEqual(shownValues(window), [1, 2, 5, 3, 4, 0, 6, 7, 8]);
+    assert.strictEqual(document.getElementById("player").hidden, false);
+    document.getElementById("playerEnd").click();
+    assert.deepStrictEqual(shownValues(window), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+
+    // Exported in the compact notation
+    document.getElementById("positionFormat").value = "url";
+    document.getElementById("export").click();
+    assert.match(document.getElementById("position").value, /#3x3:1,2,5,3,4,0,6,7,8:ULL$/);
+  });
+
+  test.it("shows the parts of a picture on the tiles", async () => {
+    let faces = document.getElementById("tileFaceSelection");
+    let board = document.getElementById("board");
+    let preview = document.getElementById("preview");
+
+    faces.value = "images/landscape.svg";
+    faces.dispatchEvent(new window.Event("change"));
+    // 5 is on the right column and the middle row when solved
+    let style = document.getElementById("tile5").style;
+    assert.strictEqual(style.backgroundImage, 'url("images/landscape.svg")');
+    assert.strictEqual(style.backgroundSize, "300% 300%");
+    assert.strictEqual(style.backgroundPosition, "100% 50%");
+    assert.strictEqual(document.getElementById("tile0").style.backgroundImage, "");
+    assert.strictEqual(preview.hidden, false);
+
+    document.getElementById("showNumbers").checked = false;
+    document.getElementById("showNumbers").dispatchEvent(new window.Event("change"));
+    assert.strictEqual(board.classList.contains("no-numbers"), true);
+    document.getElementById("showPreview").checked = false;
+    document.getElementById("showPreview").dispatchEvent(new window.Event("change"));
+    assert.strictEqual(preview.hidden, true);
+
+    // Closing the file dialog without a file keeps the picture selected
+    faces.value = "file";
+    faces.dispatchEvent(new window.Event("change"));
+    document.getElementById("imageFile").dispatchEvent(new window.Event("cancel"));
+    assert.strictEqual(faces.value, "images/landscape.svg");
+    assert.strictEqual(style.backgroundImage, 'url("images/landscape.svg")');
+
+    // A dropped image file
+    let drop = new window.Event("drop");
+    drop.dataTransfer = { files: [new window.File(["<svg></svg>"], "own.svg", { type: "image/svg+xml" })] };
+    board.dispatchEvent(drop);
+    await waitFor(() => style.backgroundImage.startsWith('url("data:image/svg+xml'), 5000);
+    assert.strictEqual(faces.value, "file");
+
+    drop.dataTransfer = { files: [new window.File(["text"], "notes.txt", { type: "text/plain" })] };
+    board.dispatchEvent(drop);
+    assert.strictEqual(document.getElementById("counter").textContent, "notes.txt is not an image");
+
+    faces.value = "";
+    faces.dispatchEvent(new window.Event("change"));
+    assert.strictEqual(style.backgroundImage, "");
+    assert.strictEqual(board.classList.contains("no-numbers"), false);
+    document.getElementById("showNumbers").checked = true;
+    document.getElementById("showPreview").checked = true;
+  });
+
+  test.it("compares the checked algorithms and heuristics on the board", async () => {
+    let check = (theName, theValues) => {
+      for (let input of document.querySelectorAll('input[name="' + theName + '"]')) {
+        input.checked = theValues.indexOf(input.value) != -1;
+      }
+    };
+    check("compareAlgorithm", ["astar", "bfs"]);
+    check("compareHeuristic", ["manhattan", "pdb663"]);
+    document.getElementById("showComparison").checked = true;
+    window.npuzzle.loadPosition("3x3:1,2,5,3,4,0,6,7,8");
+    document.getElementById("compare").click();
+
+    assert.strictEqual(document.getElementById("comparisonPanel").hidden, false);
+    await waitFor(() => document.querySelectorAll("#comparisonTable tr").length == 4 &&
+      document.getElementById("comparisonMessage").textContent === "", 5000);
+
+    let rows = Array.from(document.querySelectorAll("#comparisonTable tr"),
+      (row) => Array.from(row.children, (cell) => cell.textContent));
+    assert.deepStrictEqual(rows[0].slice(0, 5), ["Algorithm", "Heuristic", "Status", "Solution length", "Nodes expanded"]);
+    assert.deepStrictEqual(rows.slice(1).map((row) => row.slice(0, 4)), [
+      ["A*", "Manhattan", "solved", "3"],
+      ["A*", "6-6-3 pattern databases", "not available", ""],
+      ["Breadth-first", "", "solved", "3"]
+    ]);
+    // Breadth-first search expands more
+    assert.ok(Number(rows[3][4]) > Number(rows[1][4]));
+
+    let csv = decodeURIComponent(document.getElementById("comparisonCsv").href.split(",").slice(1).join(","));
+    assert.strictEqual(csv.split("\n")[0], "Algorithm,Heuristic,Status,Solution length,Nodes expanded,Peak frontier," +
+      "Peak states,Time (ms)");
+    assert.strictEqual(csv.split("\n")[1].split(",").slice(0, 4).join(","), "A*,Manhattan,solved,3");
+    assert.strictEqual(document.getElementById("comparisonCsv").hidden, false);
+
+    // The cells are text, also an error message with markup
+    let comparisonView = window.npuzzle.comparisonView;
+    comparisonView.comparison.getResults().push({ algorithm: "astar", heuristic: "", status: '<img src="y">',
+      length: -1, expanded: 0, peakFrontier: 0, peakStored: 0, time: 0 });
+    comparisonView.draw();
+    assert.strictEqual(document.querySelectorAll('img[src="y"]').length, 0);
+    assert.strictEqual(document.querySelector("#comparisonTable tr:last-child td:nth-child(3)").textContent,
+      '<img src="y">');
+  });
+
+  test.it("solves to the selected goal", async () => {
+    let goal = document.getElementById("goalSelection");
+
+    goal.value = "spiral";
+    goal.dispatchEvent(new window.Event("change"));
+    assert.deepStrictEqual(shownValues(window), [1, 2, 3, 8, 0, 4, 7, 6, 5]);
+    assert.strictEqual(document.getElementById("board").classList.contains("solved"), true);
+
+    document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowUp" }));
+    assert.deepStrictEqual(shownValues(window), [1, 0, 3, 8, 2, 4, 7, 6, 5]);
+    document.getElementById("solve").click();
+    window.npuzzle.setSpeed(1);
+    await waitFor(() => document.getElementById("counter").textContent.startsWith("Solved"), 5000);
+    assert.strictEqual(document.getElementById("distance").textContent, "Down");
+    window.npuzzle.setSpeed(800);
+
+    document.getElementById("positionFormat").value = "json";
+    document.getElementById("export").click();
+    assert.strictEqual(JSON.parse(document.getElementById("position").value).goal, "spiral");
+
+    // A position with its goal changes the selected goal
+    window.npuzzle.loadPosition('{"width": 3, "height": 3, "values": [1, 2, 3, 4, 5, 6, 7, 0, 8], "goal": "blanklast"}');
+    assert.strictEqual(goal.value, "blanklast");
+    assert.strictEqual(window.npuzzle.board.getGoal().name, "blanklast");
+
+    goal.value = "blankfirst";
+    goal.dispatchEvent(new window.Event("change"));
+    assert.deepStrictEqual(shownValues(window), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  test.it("solves with a bidirectional search and counts both sides", async () => {
+    let algorithm = document.getElementById("algorithmSelection");
+
+    algorithm.value = "mm";
+    algorithm.dispatchEvent(new window.Event("change"));
+    window.npuzzle.loadPosition("3x3:1,4,2,3,5,8,6,7,0");
+    document.getElementById("solve").click();
+    window.npuzzle.setSpeed(1);
+    await waitFor(() => document.getElementById("counter").textContent.startsWith("Solved"), 5000);
+    assert.match(document.getElementById("counter").textContent, / \(forward \d+\/\d+, backward \d+\/\d+\)$/);
+    assert.strictEqual(document.getElementById("distance").textContent.split(", ").length, 4);
+    window.npuzzle.setSpeed(800);
+
+    algorithm.value = "astar";
+    algorithm.dispatchEvent(new window.Event("change"));
+  });
+
+  test.it("shuffles by the puzzle number and the daily challenge and shares the result", async () => {
+    let number = document.getElementById("puzzleNumber");
+
+    document.getElementById("shuffleSelection").value = "uniform";
+    number.value = "2024";
+    document.getElementById("playPuzzle").click();
+    let shuffled = shownValues(window);
+    assert.strictEqual(document.getElementById("puzzle").textContent, "Puzzle 3x3-uniform-2024, uniform random");
+    assert.strictEqual(number.value, "3x3-uniform-2024");
+    document.getElementById("shuffle").click();
+    assert.notStrictEqual(number.value, "2024");
+    number.value = "2024";
+    document.getElementById("playPuzzle").click();
+    assert.deepStrictEqual(shownValues(window), shuffled);
+
+    number.value = "-5";
+    document.getElementById("playPuzzle").click();
+    assert.match(document.getElementById("counter").textContent, /^The puzzle code must be like 3x3-walk10-12345/);
+
+    // The code gives the same board whatever the shuffle, size and goal selected
+    number.value = "3x3-walk12-99";
+    document.getElementById("playPuzzle").click();
+    shuffled = shownValues(window);
+    assert.strictEqual(document.getElementById("puzzle").textContent, "Puzzle 3x3-walk12-99, random walk of 12 moves");
+    window.npuzzle.boardSizeChanged(4, 3);
+    window.npuzzle.goalChanged("spiral");
+    number.value = "3x3-walk12-99";
+    document.getElementById("playPuzzle").click();
+    assert.deepStrictEqual(shownValues(window), shuffled);
+    assert.strictEqual(document.getElementById("goalSelection").value, "blankfirst");
+    number.value = "2x4-spiral-uniform-5";
+    document.getElementById("playPuzzle").click();
+    assert.strictEqual(window.npuzzle.board.getWidth(), 2);
+    assert.strictEqual(window.npuzzle.board.getGoal().name, "spiral");
+    assert.strictEqual(number.value, "2x4-spiral-uniform-5");
+    number.value = "3x3-walk-99";
+    document.getElementById("playPuzzle").click();
+    assert.match(document.getElementById("counter").textContent, /^Unknown shuffle walk in the puzzle code/);
+    number.value = "9x9-uniform-1";
+    document.getElementById("playPuzzle").click();
+    assert.match(document.getElementById("counter").textContent, /^The board can be from 2 \* 2 to 8 \* 8/);
+    window.npuzzle.goalChanged("blankfirst");
+    window.npuzzle.boardSizeChanged(3, 3);
+    document.getElementById("shuffleSelection").value = "walk";
+
+    // Every daily challenge of the day is the same
+    let date = new Date(2024, 4, 31, 12);
+    window.npuzzle.dailyChallenge(date);
+    shuffled = shownValues(window);
+    window.npuzzle.reset();
+    window.npuzzle.dailyChallenge(date);
+    assert.deepStrictEqual(shownValues(window), shuffled);
+    assert.strictEqual(document.getElementById("puzzle").textContent, "Daily challenge 2024-05-31");
+
+    await waitFor(() => window.npuzzle.optimalLength != -1, 5000);
+    document.getElementById("share").click();
+    assert.strictEqual(document.getElementById("shareText").hidden, false);
+    assert.strictEqual(document.getElementById("shareText").value,
+      "N-Puzzle 3 * 3, Daily challenge 2024-05-31\nNot solved yet, 0 moves / 0 seconds, the shortest solution has " +
+      window.npuzzle.optimalLength + " moves");
+
+    // Solved by playing the shortest solution
+    let solver = window.eval("Solver").create("astar", "linearconflict");
+    solver.startSolving(window.npuzzle.createBoard(window.npuzzle.board.getValues()));
+    let moves = solver.checkBoards(Infinity).board.getDirections();
+    moves.forEach((move) => window.npuzzle.moveBlank(move));
+    document.getElementById("share").click();
+    assert.match(document.getElementById("shareText").value, new RegExp("\\nSolved in " + moves.length +
+      " moves / \\d+ seconds, 0 over the shortest solution of " + moves.length + " moves$"));
+
+    window.npuzzle.reset();
+    assert.strictEqual(document.getElementById("puzzle").textContent, "");
+  });
+
+  test.it("shuffles a board of the difficulty level checked by its shortest solution", async () => {
+    let number = document.getElementById("puzzleNumber");
+
+    document.getElementById("shuffleSelection").value = "hard";
+    number.value = "77";
+    document.getElementById("playPuzzle").click();
+    assert.match(document.getElementById("counter").textContent, /^Looking for a hard board, checking board 1/);
+    await waitFor(() => document.getElementById("puzzle").textContent == "Puzzle 3x3-hard-77, hard level", 10000);
+    let shuffled = shownValues(window);
+
+    // The shortest solution was found while checking the level
+    let solver = window.eval("Solver").create("astar", "linearconflict");
+    solver.startSolving(window.npuzzle.createBoard(window.npuzzle.board.getValues()));
+    let length = solver.checkBoards(Infinity).board.depth;
+    assert.strictEqual(window.npuzzle.optimalLength, length);
+    assert.ok(length >= 18 && length <= 23, "Length " + length);
+    assert.match(document.getElementById("play").textContent, new RegExp("optimal: " + length + " moves"));
+
+    // The same code gives the same board, also when solved with another
+    // heuristic
+    let NPuzzle = window.eval("NPuzzle");
+    let optimalHeuristic = NPuzzle.optimalHeuristic;
+    NPuzzle.optimalHeuristic = () => "manhattan";
+    window.npuzzle.reset();
+    document.getElementById("playPuzzle").click();
+    await waitFor(() => document.getElementById("puzzle").textContent != "", 10000);
+    assert.deepStrictEqual(shownValues(window), shuffled);
+    NPuzzle.optimalHeuristic = optimalHeuristic;
+
+    // Looking for a board stops when the board is reset meanwhile
+    document.getElementById("shuffleSelection").value = "expert";
+    document.getElementById("shuffle").click();
+    window.npuzzle.reset();
+    assert.strictEqual(window.npuzzle.levelGenerator.isRunning(), false);
+    document.getElementById("shuffleSelection").value = "walk";
+
+    // The pattern database file can't be loaded from a file: page, without it
+    // the 4 * 4 hard boards take too long to check
+    window.npuzzle.boardSizeChanged(4, 4);
+    window.npuzzle.shuffle("hard", 0, 5);
+    await waitFor(() => !window.npuzzle.levelGenerator.isRunning(), 10000);
+    assert.match(document.getElementById("counter").textContent,
+      /^The hard level of this board needs the 6-6-3 pattern databases/);
+    window.npuzzle.boardSizeChanged(3, 3);
+  });
+
+  test.it("finds the same level board from the same seed whatever the limits and the heuristic", async () => {
+    let LevelGenerator = window.eval("LevelGenerator");
+    let NPuzzle = window.eval("NPuzzle");
+    let SeededRandom = window.eval("SeededRandom");
+    let timeLimit = LevelGenerator.timeLimit;
+    let optimalHeuristic = NPuzzle.optimalHeuristic;
+    let solved = new (window.eval("Board"))(null, [0, 1, 2, 3, 4, 5, 6, 7, 8], "");
+
+    async function generate() {
+      let found = null;
+      let generator = new LevelGenerator((theMessage) => {
+        if (theMessage.type == "found") {
+          found = theMessage;
+        }
+      });
+      generator.start(solved, "expert", new SeededRandom(31));
+      await waitFor(() => found !== null, 20000);
+      return { values: Array.from(found.board.getValues()), length: found.length, tries: found.tries };
+    }
+
+    let board = await generate();
+    // Slower solving with a weaker heuristic and a longer time limit
+    LevelGenerator.timeLimit = () => 600000;
+    NPuzzle.optimalHeuristic = () => "manhattan";
+    assert.deepStrictEqual(await generate(), board);
+
+    LevelGenerator.timeLimit = timeLimit;
+    NPuzzle.optimalHeuristic = optimalHeuristic;
+  });
+
+  test.it("shows the errors of a position in the URL as text", () => {
+    let values = shownValues(window);
+    let hash = "#3x3:1,2,3,4,0,5,7,8,6:%3Cimg/src=x/onerror=alert(1)%3E";
+
+    window.npuzzle.loadPosition(hash);
+    assert.match(document.getElementById("counter").textContent, /<img\/src=x\/onerror=alert\(1\)>/);
+    assert.strictEqual(document.querySelectorAll("img[src=\"x\"]").length, 0);
+    assert.strictEqual(document.getElementById("counter").children.length, 0);
+    assert.deepStrictEqual(shownValues(window), values);
+  });
+
+  test.it("drops the messages of a cancelled background run", async () => {
+    let messages = [];
+    let solver = new (window.eval("BackgroundSolver"))((message) => messages.push(message));
+    let board = window.npuzzle.createBoard([1, 2, 0, 3, 4, 5, 6, 7, 8]);
+
+    solver.startSolving(board, "astar", "manhattan");
+    let cancelled = solver.runId;
+    solver.stopSolving();
+    solver.startSolving(window.npuzzle.createBoard([1, 0, 2, 3, 4, 5, 6, 7, 8]), "astar", "manhattan");
+    // Posted by the cancelled run before it got the cancel
+    solver.handleMessage({ type: "finished", runId: cancelled, checked: 5, frontier: 0, peakFrontier: 1,
+      peakStored: 1, time: 0, directions: [], moves: ["Left", "Left"] });
+    assert.strictEqual(solver.isSolving(), true);
+    assert.strictEqual(solver.getCheckedLength(), 0);
+
+    await waitFor(() => !solver.isSolving(), 5000);
+    assert.deepStrictEqual(messages.map((message) => message.runId), [solver.runId]);
+    assert.deepStrictEqual(Array.from(messages[0].moves), ["Left"]);
+  });
+
+  test.it("gives up looking for the shortest solution after the time limit", async () => {
+    let NPuzzle = window.eval("NPuzzle");
+    let timeLimit = NPuzzle.optimalTimeLimit;
+    let play = document.getElementById("play");
+
+    NPuzzle.optimalTimeLimit = () => 50;
+    window.npuzzle.loadPosition("4x4:14,13,15,7,11,12,9,5,6,0,2,1,4,8,10,3");
+    assert.strictEqual(play.textContent, "Moves: 0, time: 0 s");
+    await waitFor(() => play.textContent.endsWith("optimal: unknown"), 5000);
+    assert.strictEqual(window.npuzzle.optimalSolver.isSolving(), false);
+    assert.strictEqual(window.npuzzle.optimalLength, -1);
+
+    NPuzzle.optimalTimeLimit = timeLimit;
+    window.npuzzle.boardSizeChanged(3, 3);
+    assert.strictEqual(play.textContent, "Moves: 0, time: 0 s");
+  });
+
+  test.it("disables the heuristics the board size or goal can't use", () => {
+    let disabled = () => Array.from(document.querySelectorAll("#heuristicSelection option:disabled"),
+      (option) => option.value);
+    let pdb = document.querySelector('input[name="compareHeuristic"][value="pdb663"]');
+
+    assert.deepStrictEqual(disabled(), ["pdb663", "pdb78"]);
+    window.npuzzle.boardSizeChanged(4, 4);
+    assert.deepStrictEqual(disabled(), []);
+    assert.strictEqual(pdb.disabled, false);
+    window.npuzzle.goalChanged("spiral");
+    assert.deepStrictEqual(disabled(), ["pdb663", "pdb78"]);
+    assert.strictEqual(pdb.disabled, true);
+    window.npuzzle.goalChanged("blankfirst");
+    window.npuzzle.boardSizeChanged(5, 4);
+    assert.deepStrictEqual(disabled(), ["walkingdistance", "pdb663", "pdb78"]);
+    window.npuzzle.boardSizeChanged(3, 3);
+  });
+
+  test.it("disables the difficulty levels on the board sizes without them", () => {
+    let shuffle = document.getElementById("shuffleSelection");
+    let disabled = () => Array.from(shuffle.querySelectorAll("option:disabled"), (option) => option.value);
+
+    shuffle.value = "hard";
+    window.npuzzle.boardSizeChanged(2, 5);
+    assert.deepStrictEqual(disabled(), []);
+    assert.strictEqual(shuffle.value, "hard");
+    window.npuzzle.boardSizeChanged(5, 5);
+    assert.deepStrictEqual(disabled(), ["easy", "medium", "hard", "expert"]);
+    assert.strictEqual(shuffle.value, "walk");
+    window.npuzzle.boardSizeChanged(3, 3);
+    assert.deepStrictEqual(disabled(), []);
+  });
+
+  test.it("gives up looking for the hint after the time limit", async () => {
+    let NPuzzle = window.eval("NPuzzle");
+    let timeLimit = NPuzzle.hintTimeLimit;
+    let hint = document.getElementById("hintText");
+
+    NPuzzle.hintTimeLimit = () => 50;
+    window.npuzzle.loadPosition("4x4:14,13,15,7,11,12,9,5,6,0,2,1,4,8,10,3");
+    window.npuzzle.stopOptimalSolving();
+    document.getElementById("hint").click();
+    assert.strictEqual(hint.textContent, "Looking for the best move...");
+    await waitFor(() => hint.textContent.startsWith("No hint"), 5000);
+    assert.strictEqual(hint.textContent, "No hint found in 0 seconds");
+    assert.strictEqual(window.npuzzle.hintSolver.isSolving(), false);
+
+    NPuzzle.hintTimeLimit = timeLimit;
+    window.npuzzle.boardSizeChanged(3, 3);
+    assert.strictEqual(hint.textContent, "");
+  });
+
+  test.it("solves after loading the heuristic only if nothing changed meanwhile", async () => {
+    let heuristic = window.eval("Board").getHeuristic("pdb663");
+    let finishLoading = null;
+    let solves = 0;
+
+    heuristic.load = () => new Promise((resolve) => finishLoading = resolve);
+    window.npuzzle.solve = function () {
+      solves++;
+      return Object.getPrototypeOf(this).solve.call(this);
+    };
+    window.npuzzle.loadPosition("4x4:1,0,2,3,4,5,6,7,8,9,10,11,12,13,14,15");
+    window.npuzzle.heuristicChanged("pdb663");
+    document.getElementById("solve").click();
+    assert.strictEqual(document.getElementById("counter").textContent, "Loading the 6-6-3 pattern databases...");
+
+    // Another heuristic picked meanwhile
+    window.npuzzle.heuristicChanged("manhattan");
+    finishLoading();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.strictEqual(solves, 1);
+
+    // Loaded for the same request
+    window.npuzzle.heuristicChanged("pdb663");
+    document.getElementById("solve").click();
+    finishLoading();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.strictEqual(solves, 3);
+
+    delete heuristic.load;
+    delete window.npuzzle.solve;
+    window.npuzzle.heuristicChanged("manhattan");
+    window.npuzzle.boardSizeChanged(3, 3);
+  });
+
+  test.it("rebuilds the board when the size changes", () => {
+    let width = document.getElementById("boardWidth");
+    let height = document.getElementById("boardHeight");
+
+    height.value = "4";
+    height.dispatchEvent(new window.Event("change"));
+    assert.deepStrictEqual(shownValues(window), Array.from({ length: 12 }, (value, i) => i));
+    assert.strictEqual(document.getElementById("board").style.aspectRatio, "3 / 4");
+    assert.strictEqual(document.getElementById("tile11").style.transform, "translate(200%, 300%)");
+
+    // Too big sides are limited to 8
+    width.value = "12";
+    width.dispatchEvent(new window.Event("change"));
+    assert.strictEqual(width.value, "8");
+    assert.deepStrictEqual(shownValues(window), Array.from({ length: 32 }, (value, i) => i));
+    assert.strictEqual(document.getElementById("tile31").style.transform, "translate(700%, 300%)");
+  });
+
+  test.it("moves the 0 on a rectangular board", () => {
+    // Solved 8 * 4 board, the 0 at the top left corner
+    window.npuzzle.loadPosition("8x4:" + Array.from({ length: 32 }, (value, i) => i).join(","));
+    document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowDown" }));
+    assert.strictEqual(shownValues(window)[8], 0);
+    assert.strictEqual(shownValues(window)[0], 8);
+  });
+});
+
+test.describe("GameStorage", () => {
+  // The pages loaded, closed after the tests even if they fail
+  let windows = [];
+
+  test.after(() => windows.forEach((window) => window.close()));
+
+  test.it("reads only saved data of a known version", async () => {
+    let window = await loadPage();
+    windows.push(window);
+    let GameStorage = window.eval("GameStorage");
+    let storage = createStorage();
+
+    for (let item of ["not json", "[1, 2]", '{"settings": {}}', '{"version": 99, "settings": {}}']) {
+      storage.setItem("npuzzle", item);
+      assert.strictEqual(new GameStorage(storage).getSettings(), null, item);
+    }
+
+    storage.setItem("npuzzle", '{"version": 1, "settings": {"algorithm": "bfs"}}');
+    let gameStorage = new GameStorage(storage);
+    assert.deepStrictEqual({ ...gameStorage.getSettings() }, { algorithm: "bfs" });
+    assert.strictEqual(gameStorage.getGame(), null);
+
+    gameStorage.recordPlayed(3, 3);
+    gameStorage.recordSolved(3, 3, 30, 40);
+    gameStorage.recordSolved(3, 3, 24, 50);
+    gameStorage.recordOptimal(3, 3, 24, 20);
+    assert.deepStrictEqual({ ...new GameStorage(storage).getStatistics(3, 3) },
+      { played: 1, solved: 2, bestMoves: 24, bestTime: 40, overOptimal: 4, optimalCount: 1 });
+    assert.strictEqual(new GameStorage(storage).getStatistics(4, 4).played, 0);
+
+    gameStorage.clear();
+    assert.strictEqual(storage.getItem("npuzzle"), null);
+    // Without a storage nothing is kept
+    new GameStorage(null).setSettings({});
+  });
+
+  test.it("restores the settings and the game on the next load", async () => {
+    let storage = createStorage();
+    let window = await loadPage(storage);
+    let document = window.document;
+    windows.push(window);
+    let select = (id, value) => {
+      document.getElementById(id).value = value;
+      document.getElementById(id).dispatchEvent(new window.Event("change"));
+    };
+
+    select("algorithmSelection", "idastar");
+    select("heuristicSelection", "linearconflict");
+    document.getElementById("boardHeight").value = "2";
+    document.getElementById("boardHeight").dispatchEvent(new window.Event("change"));
+    document.getElementById("faster").click();
+    let speed = window.npuzzle.solvingSpeedInMs;
+    window.npuzzle.stopSolving();
+    window.npuzzle.loadPosition("3x2:1,2,0,3,4,5");
+    for (let key of ["ArrowLeft", "ArrowDown", "ArrowUp"]) {
+      document.dispatchEvent(new window.KeyboardEvent("keydown", { key: key }));
+    }
+    window.npuzzle.undo();
+    let values = Array.from(window.npuzzle.board.getValues());
+    // Closed after the shortest solution is saved
+    await waitFor(() => window.npuzzle.optimalLength != -1, 5000);
+    window.close();
+
+    window = await loadPage(storage);
+    document = window.document;
+    windows.push(window);
+    assert.strictEqual(document.getElementById("algorithmSelection").value, "idastar");
+    assert.strictEqual(document.getElementById("heuristicSelection").value, "linearconflict");
+    assert.match(window.npuzzle.solver.getDescription(), /^IDA\* .*linear conflicts\)$/);
+    assert.strictEqual(document.getElementById("boardHeight").value, "2");
+    assert.strictEqual(window.npuzzle.solvingSpeedInMs, speed);
+    assert.deepStrictEqual(Array.from(window.npuzzle.board.getValues()), values);
+    assert.match(document.getElementById("play").textContent, /^Moves: 2, /);
+    assert.match(document.getElementById("statistics").textContent, /^3 \* 2 games: 1 played, 0 solved$/);
+
+    // The moves can be undone and redone as before the reload
+    assert.strictEqual(window.npuzzle.redo(), true);
+    assert.strictEqual(window.npuzzle.undo(), true);
+    assert.strictEqual(window.npuzzle.undo(), true);
+    assert.strictEqual(window.npuzzle.undo(), true);
+    assert.deepStrictEqual(Array.from(window.npuzzle.board.getValues()), [1, 2, 0, 3, 4, 5]);
+    // The shortest solution of the start board was saved
+    assert.match(document.getElementById("play").textContent, /optimal: 2 moves$/);
+    window.npuzzle.undo();
+    window.npuzzle.moveBlank("Left");
+    window.npuzzle.moveBlank("Left");
+    assert.match(document.getElementById("statistics").textContent,
+      /1 played, 1 solved, best 2 moves, best time \d+ s, on average 0.0 moves over the shortest solution$/);
+
+    document.getElementById("clearData").click();
+    assert.strictEqual(document.getElementById("statistics").textContent, "");
+    assert.strictEqual(storage.getItem("npuzzle"), null);
+  });
+});
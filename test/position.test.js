@@ -0,0 +1,145 @@
+'use strict';
+
+/*
+ * Tests for PositionFormat: reading the positions in every format, the
+ * checks of the values and the moves, and writing them back.
+ *
+ * Run: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { Board, Goal, PositionFormat } = require("../npuzzlecore.js");
+
+const values = [1, 2, 3, 4, 0, 5, 7, 8, 6];
+
+test.describe("PositionFormat.parse", () => {
+  test.it("reads the tiles separated by commas or white space", () => {
+    for (let text of ["1,2,3,4,0,5,7,8,6", " 1 2 3 4 0 5 7 8 6\n", "1, 2, 3, 4, 0, 5, 7, 8, 6"]) {
+      let position = PositionFormat.parse(text);
+      assert.deepStrictEqual(position.board.getValues(), values);
+      assert.strictEqual(position.board.getWidth(), 3);
+      assert.deepStrictEqual(position.moves, []);
+    }
+  });
+
+  test.it("reads grid text with the size from the rows", () => {
+    let position = PositionFormat.parse("1 2 0 3\n4 5 6 7\n");
+
+    assert.deepStrictEqual(position.board.getValues(), [1, 2, 0, 3, 4, 5, 6, 7]);
+    assert.strictEqual(position.board.getWidth(), 4);
+    assert.strictEqual(position.board.getHeight(), 2);
+  });
+
+  test.it("reads the size and the moves of the hash, also from a URL", () => {
+    for (let text of ["3x2:1,2,0,3,4,5:Left,Left", "#3x2:1,2,0,3,4,5:Left,Left",
+        "https://example.com/main.html#3x2:1%2C2%2C0%2C3%2C4%2C5:Left%2CLeft"]) {
+      let position = PositionFormat.parse(text);
+      assert.deepStrictEqual(position.board.getValues(), [1, 2, 0, 3, 4, 5]);
+      assert.strictEqual(position.board.getWidth(), 3);
+      assert.strictEqual(position.board.getHeight(), 2);
+      assert.deepStrictEqual(position.moves, ["Left", "Left"]);
+    }
+  });
+
+  test.it("reads the moves in the compact notation", () => {
+    for (let text of ["3x2:1,2,0,3,4,5:LL", "1 2 0\n3 4 5\nSolution: ll", "{\"width\": 3, \"height\": 2, \"values\": [1, 2, 0, 3, 4, 5], \"moves\": [\"L\", \"Left\"]}"]) {
+      assert.deepStrictEqual(PositionFormat.parse(text).moves, ["Left", "Left"], text);
+    }
+  });
+
+  test.it("uses the given size for a list of tiles", () => {
+    let position = PositionFormat.parse("1,2,0,3,4,5", 2, 3);
+
+    assert.strictEqual(position.board.getWidth(), 2);
+    assert.strictEqual(position.board.getHeight(), 3);
+  });
+
+  test.it("refuses invalid positions", () => {
+    let invalid = [
+      ["", /No board/],
+      ["1,2,3", /square/],
+      ["1,2,3,4,0,5,7,8,8", /every number/],
+      ["1,2,3,4,0,5,7,8,x", /every number/],
+      ["1 2 3\n4 0\n", /rows/],
+      ["3x2:1,2,0,3,4", /must have 6 numbers/],
+      ["1x4:0,1,2,3", /at least 2/],
+      ["9x9:" + Array.from({ length: 81 }, (v, i) => i).join(","), /at most 8 \* 8/],
+      ["3x3:1,2,3,4,0,5,7,8,6:Up", /don't solve/],
+      ["3x3:1,2,3,4,0,5,7,8,6:Sideways", /Invalid move/],
+      ["3x3:1,2,3,4,0,5,7,8,6:DDRR", /Move 2 \(Down\) is not possible/],
+      ["{\"width\": 3", /Invalid JSON/]
+    ];
+
+    for (let [text, message] of invalid) {
+      assert.throws(() => PositionFormat.parse(text), message, text);
+    }
+  });
+
+  test.it("solves to the goal of the JSON or the given goal", () => {
+    let position = PositionFormat.parse("1 2 3\n4 5 6\n7 0 8\nSolution: R", 0, 0, "blanklast");
+    assert.strictEqual(position.board.getGoal().name, "blanklast");
+
+    let json = PositionFormat.format(position.board, position.moves, "json");
+    assert.strictEqual(JSON.parse(json).goal, "blanklast");
+    assert.strictEqual(PositionFormat.parse(json, 0, 0, "spiral").board.getGoal().name, "blanklast");
+    assert.strictEqual(PositionFormat.parse("1,2,3,4,5,6,7,0,8").board.getGoal().name, "blankfirst");
+    assert.throws(() => PositionFormat.parse("1,2,3,4,5,6,7,0,8", 0, 0, "sideways"), /Unknown goal/);
+  });
+
+  test.it("doesn't check if the board can be solved", () => {
+    assert.strictEqual(PositionFormat.parse("0,2,1,3,4,5,6,7,8").board.isSolvable(), false);
+  });
+});
+
+test.describe("PositionFormat.format", () => {
+  let position = PositionFormat.parse("3x3:3,1,2,4,0,5,6,7,8:Left,Up");
+
+  test.it("writes every format so that it reads back the same", () => {
+    for (let format of ["text", "json", "hash"]) {
+      let text = PositionFormat.format(position.board, position.moves, format);
+      let read = PositionFormat.parse(text);
+      assert.deepStrictEqual(read.board.getValues(), [3, 1, 2, 4, 0, 5, 6, 7, 8], format);
+      assert.deepStrictEqual(read.moves, position.moves, format);
+    }
+  });
+
+  test.it("writes the goal so that every goal reads back the same", () => {
+    for (let goal of Goal.names()) {
+      // One move away from the solved board of the goal
+      let board = new Board(null, Goal.get(goal, 3, 3).getValues(), "", 3, 3, goal);
+      let direction = ["Left", "Right"].find((move) => board.positionTowards(move) != -1);
+      board.swapPositions(board.positionTowards(direction));
+      let moves = [Board.oppositeDirection(direction)];
+
+      for (let format of ["text", "json", "hash"]) {
+        let text = PositionFormat.format(board, moves, format);
+        // Read on the default goal and on another one, the text without a
+        // goal is read on the reader's goal
+        for (let readerGoal of (format == "text" && goal == "blankfirst") ? [goal] : ["blankfirst", "spiral"]) {
+          let read = PositionFormat.parse(text, 0, 0, readerGoal);
+          assert.strictEqual(read.board.getGoal().name, goal, format + " " + text);
+          assert.deepStrictEqual(read.board.getValues(), board.getValues(), format);
+          assert.deepStrictEqual(read.moves, moves, format);
+        }
+      }
+    }
+    let board = PositionFormat.parse("3x3-blanklast:1,2,3,4,5,6,7,0,8:R").board;
+    assert.strictEqual(PositionFormat.format(board, ["Right"], "hash"), "3x3-blanklast:1,2,3,4,5,6,7,0,8:R");
+    assert.strictEqual(PositionFormat.format(board, [], "text"), "1 2 3\n4 5 6\n7 0 8\nGoal: blanklast");
+    assert.throws(() => PositionFormat.parse("3x3-sideways:1,2,3,4,5,6,7,0,8"), /Unknown goal/);
+  });
+
+  test.it("writes the text as a grid and the solution", () => {
+    let board = PositionFormat.parse("4x2:1,2,0,3,4,5,6,7").board;
+
+    assert.strictEqual(PositionFormat.format(board, [], "text"), "1 2 0 3\n4 5 6 7");
+    assert.strictEqual(PositionFormat.format(board, ["Left", "Left"], "hash"), "4x2:1,2,0,3,4,5,6,7:LL");
+    assert.strictEqual(PositionFormat.format(position.board, position.moves, "text"), "3 1 2\n4 0 5\n6 7 8\nSolution: Left, Up");
+  });
+
+  test.it("aligns the numbers of larger boards", () => {
+    let board = PositionFormat.parse("4x3:10,1,2,3,4,5,6,7,8,9,0,11").board;
+
+    assert.strictEqual(PositionFormat.format(board, [], "text"), "10  1  2  3\n 4  5  6  7\n 8  9  0 11");
+  });
+});
@@ -0,0 +1,361 @@
+'use strict';
+
+/*
+ * Tests for the search algorithms and their data structures. The solution
+ * lengths are checked against breadth-first search, which always finds the
+ * shortest solution.
+ *
+ * Run: npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { Board, Solver, FrontierElement, FrontierQueue, BoardSet, SeededRandom, Difficulty } = require("../npuzzlecore.js");
+
+/*
+ * Return a uniformly random solvable 3 * 3 board.
+ */
+function randomBoard() {
+  let board = new Board(null, [0, 1, 2, 3, 4, 5, 6, 7, 8], "");
+  board.shuffleRandom();
+  return board;
+}
+
+/*
+ * Solve the values with the given algorithm and heuristic and return the
+ * solution board.
+ */
+function solve(theValues, theAlgorithm, theHeuristic) {
+  return solveSized(new Board(null, theValues, ""), theAlgorithm, theHeuristic);
+}
+
+/*
+ * Solve a copy of the board, keeping its width and height, and return the
+ * solution board.
+ */
+function solveSized(theBoard, theAlgorithm, theHeuristic) {
+  let solver = Solver.create(theAlgorithm, theHeuristic);
+
+  assert.strictEqual(solver.startSolving(
+    new Board(null, theBoard.getValues(), "", theBoard.getWidth(), theBoard.getHeight())), true);
+  let result = solver.checkBoards(Infinity);
+  assert.strictEqual(result.finished, true);
+  return result.board;
+}
+
+/*
+ * Assert the solution board chain is made of single moves from the start
+ * values to the solved state.
+ */
+function assertValidSolution(theValues, theSolution) {
+  let board = new Board(null, theValues, "");
+
+  for (let direction of theSolution.getDirections()) {
+    let position = board.positionTowards(direction);
+    assert.notStrictEqual(position, -1, "Move " + direction + " is not possible");
+    board.swapPositions(position);
+  }
+  assert.strictEqual(board.isEndPosition(), true);
+  assert.strictEqual(board.getNumId(), theSolution.getNumId());
+}
+
+test.describe("FrontierQueue", () => {
+  test.it("returns the elements lowest estimate first, lower distance first on ties", () => {
+    let queue = new FrontierQueue();
+    let elements = [];
+
+    for (let i = 0; i < 200; i++) {
+      let board = randomBoard();
+      elements.push(new FrontierElement(board, (i * 7) % 13 + board.getEstimatedDistance()));
+    }
+    elements.forEach((element) => queue.push(element));
+    assert.strictEqual(queue.length, elements.length);
+
+    let previous = queue.shift();
+    while (queue.length > 0) {
+      let next = queue.shift();
+      assert.ok(!next.isBefore(previous));
+      previous = next;
+    }
+    assert.strictEqual(queue.shift(), undefined);
+  });
+
+  test.it("peeks the elements in the order they are removed", () => {
+    let queue = new FrontierQueue();
+
+    for (let i = 0; i < 100; i++) {
+      let board = randomBoard();
+      queue.push(new FrontierElement(board, (i * 11) % 17 + board.getEstimatedDistance()));
+    }
+    let peeked = queue.peek(20, () => true);
+    let odd = queue.peek(5, (element) => element.estimate % 2 === 1);
+    assert.strictEqual(queue.length, 100);
+
+    let removed = [];
+    while (queue.length > 0) {
+      removed.push(queue.shift());
+    }
+    // Elements with equal order may come in any order
+    assert.deepStrictEqual(peeked.map((element) => element.estimate), removed.slice(0, 20).map((element) => element.estimate));
+    assert.deepStrictEqual(odd.map((element) => element.estimate),
+      removed.filter((element) => element.estimate % 2 === 1).slice(0, 5).map((element) => element.estimate));
+  });
+});
+
+test.describe("BoardSet", () => {
+  test.it("has only the added states", () => {
+    let set = new BoardSet();
+    let board = new Board(null, [0, 1, 2, 3, 4, 5, 6, 7, 8], "");
+    let other = new Board(null, [1, 0, 2, 3, 4, 5, 6, 7, 8], "");
+
+    set.add(board);
+    set.add(new Board(null, board.getValues(), ""));
+    assert.strictEqual(set.size, 1);
+    assert.strictEqual(set.has(board), true);
+    assert.strictEqual(set.has(other), false);
+
+    set.add(other);
+    assert.strictEqual(set.size, 2);
+    assert.strictEqual(set.has(other), true);
+  });
+});
+
+test.describe("Solver", () => {
+  let boards = [];
+  // Shortest solution lengths of the boards, by breadth-first search
+  let lengths = [];
+  for (let i = 0; i < 15; i++) {
+    boards.push(randomBoard().getValues());
+    lengths.push(solve(boards[i], "bfs").depth);
+  }
+
+  for (let heuristic of ["manhattan", "linearconflict", "walkingdistance"]) {
+    test.it("A* with " + heuristic + " finds the shortest solution", () => {
+      for (let i = 0; i < boards.length; i++) {
+        let solution = solve(boards[i], "astar", heuristic);
+        assertValidSolution(boards[i], solution);
+        assert.strictEqual(solution.depth, lengths[i], "Board " + boards[i]);
+      }
+    });
+  }
+
+  test.it("IDA* finds the shortest solution", () => {
+    for (let i = 0; i < 5; i++) {
+      let solution = solve(boards[i], "idastar", "linearconflict");
+      assertValidSolution(boards[i], solution);
+      assert.strictEqual(solution.depth, lengths[i], "Board " + boards[i]);
+    }
+  });
+
+  test.it("greedy best-first finds a solution", () => {
+    for (let values of boards) {
+      assertValidSolution(values, solve(values, "greedy", "manhattan"));
+    }
+  });
+
+  test.it("bidirectional searches find the shortest solution", () => {
+    for (let [algorithm, heuristic] of [["bibfs"], ["mm", "manhattan"], ["mm", "walkingdistance"]]) {
+      for (let i = 0; i < boards.length; i++) {
+        let solution = solve(boards[i], algorithm, heuristic);
+        assertValidSolution(boards[i], solution);
+        assert.strictEqual(solution.depth, lengths[i], algorithm + " board " + boards[i]);
+      }
+    }
+  });
+
+  test.it("bidirectional searches report both sides and check fewer boards", () => {
+    let board = new Board(null, boards[0], "");
+
+    for (let algorithm of ["bibfs", "mm"]) {
+      let solver = Solver.create(algorithm, "manhattan");
+      solver.startSolving(new Board(null, board.getValues(), ""));
+      let result = solver.checkBoards(Infinity);
+      let directions = solver.getDirectionLengths();
+
+      assert.deepStrictEqual(directions.map((direction) => direction.name), ["forward", "backward"]);
+      assert.ok(directions.every((direction) => direction.checked > 0), algorithm);
+      assert.strictEqual(directions[0].checked + directions[1].checked, solver.getCheckedLength());
+      assert.strictEqual(directions[0].frontier + directions[1].frontier, solver.getFrontierLength());
+      // The joined path is a chain of boards from the start board
+      assert.strictEqual(result.board.getDirections().length, result.board.depth);
+      assert.strictEqual(result.board.isEndPosition(), true);
+      if (algorithm == "bibfs" && lengths[0] > 4) {
+        let bfs = Solver.create("bfs");
+        bfs.startSolving(new Board(null, board.getValues(), ""));
+        bfs.checkBoards(Infinity);
+        assert.ok(solver.getCheckedLength() < bfs.getCheckedLength());
+      }
+    }
+    assert.deepStrictEqual(Solver.create("astar").getDirectionLengths(), []);
+  });
+
+  test.it("bidirectional searches solve to the other goals", () => {
+    for (let goal of ["blanklast", "spiral"]) {
+      for (let i = 0; i < 5; i++) {
+        let board = new Board(null, boards[i], "", 3, 3, goal);
+        board.shuffleRandom();
+        let bfs = Solver.create("bfs");
+        bfs.startSolving(new Board(null, board.getValues(), "", 3, 3, goal));
+        let expected = bfs.checkBoards(Infinity).board.depth;
+
+        for (let algorithm of ["bibfs", "mm"]) {
+          let solver = Solver.create(algorithm, "linearconflict");
+          solver.startSolving(new Board(null, board.getValues(), "", 3, 3, goal));
+          let solution = solver.checkBoards(Infinity).board;
+          assert.strictEqual(solution.depth, expected, algorithm + " " + goal + " board " + board.getValues());
+          assert.strictEqual(solution.isEndPosition(), true);
+        }
+      }
+    }
+  });
+
+  test.it("finds the shortest solution on rectangular boards", () => {
+    for (let [width, height] of [[2, 4], [4, 2], [3, 2]]) {
+      for (let i = 0; i < 5; i++) {
+        let board = new Board(null, Array.from({ length: width * height }, (value, j) => j), "", width, height);
+        board.shuffleRandom();
+
+        let length = solveSized(board, "bfs").depth;
+        for (let heuristic of ["manhattan", "linearconflict", "walkingdistance"]) {
+          let solution = solveSized(board, "astar", heuristic);
+          assert.strictEqual(solution.depth, length, width + " * " + height + " board " + board.getValues());
+        }
+        assert.strictEqual(solveSized(board, "idastar", "linearconflict").depth, length);
+        assert.strictEqual(solveSized(board, "bibfs").depth, length);
+        assert.strictEqual(solveSized(board, "mm", "linearconflict").depth, length);
+      }
+    }
+  });
+
+  test.it("solves the solved board without moves", () => {
+    for (let algorithm of ["astar", "idastar", "greedy", "bfs", "bibfs", "mm"]) {
+      assert.strictEqual(solve([0, 1, 2, 3, 4, 5, 6, 7, 8], algorithm).depth, 0);
+    }
+  });
+
+  test.it("refuses to start on an unsolvable board", () => {
+    for (let algorithm of ["astar", "idastar", "greedy", "bfs", "bibfs", "mm"]) {
+      let solver = Solver.create(algorithm);
+      assert.strictEqual(solver.startSolving(new Board(null, [0, 2, 1, 3, 4, 5, 6, 7, 8], "")), false);
+      assert.strictEqual(solver.isSolving(), false);
+    }
+  });
+
+  test.it("shows the boards to be checked next", () => {
+    for (let algorithm of ["astar", "idastar", "greedy", "bfs", "bibfs", "mm"]) {
+      let solver = Solver.create(algorithm, "manhattan");
+
+      solver.startSolving(new Board(null, [8, 7, 6, 5, 4, 3, 2, 1, 0], ""));
+      solver.checkBoards(20);
+      let next = solver.getNextBoards(3);
+      assert.strictEqual(next.length, 3, algorithm);
+      assert.deepStrictEqual(solver.getNextBoards(0), [], algorithm);
+      assert.strictEqual(solver.getFrontierBoards().length <= solver.getFrontierLength(), true, algorithm);
+
+      // The next board is the one checked next
+      let expected = next[0];
+      if (algorithm == "idastar" && expected.getTotalCost() > solver.costLimit) {
+        continue;
+      }
+      assert.strictEqual(solver.checkOneBoard().board, expected, algorithm);
+    }
+  });
+
+  test.it("keeps the peak frontier and stored lengths", () => {
+    let stored = new Map();
+
+    for (let algorithm of ["astar", "idastar", "bfs", "bibfs"]) {
+      let solver = Solver.create(algorithm, "manhattan");
+      let peakFrontier = 0;
+      let peakStored = 0;
+
+      solver.startSolving(new Board(null, boards[0], ""));
+      while (!solver.checkBoards(1).finished) {
+        peakFrontier = Math.max(peakFrontier, solver.getFrontierLength());
+        peakStored = Math.max(peakStored, solver.getStoredLength());
+      }
+      assert.ok(solver.getPeakFrontierLength() >= peakFrontier, algorithm);
+      assert.ok(solver.getPeakStoredLength() >= peakStored, algorithm);
+      assert.ok(solver.getPeakStoredLength() >= solver.getPeakFrontierLength(), algorithm);
+      stored.set(algorithm, solver.getPeakStoredLength());
+    }
+    // IDA* keeps only the path and its siblings
+    assert.ok(stored.get("idastar") < stored.get("astar"));
+  });
+
+  test.it("stops after the given number of checks", () => {
+    let solver = Solver.create("bfs");
+
+    solver.startSolving(new Board(null, [8, 7, 6, 5, 4, 3, 2, 1, 0], ""));
+    assert.strictEqual(solver.checkBoards(10).finished, false);
+    assert.strictEqual(solver.getCheckedLength(), 10);
+
+    solver.stopSolving();
+    assert.strictEqual(solver.getCheckedLength(), 0);
+    assert.strictEqual(solver.getFrontierLength(), 0);
+  });
+});
+
+test.describe("Difficulty", () => {
+  test.it("has ranges one after another for the smaller board sizes only", () => {
+    for (let [width, height] of [[2, 2], [2, 3], [4, 2], [5, 2], [3, 3], [3, 4], [4, 3], [4, 4]]) {
+      let previous = -1;
+      for (let level of Difficulty.levels()) {
+        let range = Difficulty.getRange(level, width, height);
+        assert.ok(range.min > 0 && range.max >= range.min, level + " " + width + " * " + height);
+        if (previous != -1) {
+          assert.strictEqual(range.min, previous + 1, level + " " + width + " * " + height);
+        }
+        previous = range.max;
+      }
+      assert.deepStrictEqual(Difficulty.getRange("hard", height, width), Difficulty.getRange("hard", width, height));
+    }
+    assert.strictEqual(Difficulty.getRange("easy", 5, 5), null);
+    assert.strictEqual(Difficulty.getRange("easy", 2, 6), null);
+    assert.strictEqual(Difficulty.isInRange("easy", 5, 5, 10), false);
+    assert.throws(() => Difficulty.getRange("impossible", 3, 3), /Unknown difficulty level/);
+  });
+
+  test.it("finds the boards of each level by their shortest solution", () => {
+    let solved = new Board(null, [0, 1, 2, 3, 4, 5, 6, 7, 8], "");
+
+    for (let level of Difficulty.levels()) {
+      let random = new SeededRandom(42);
+      let again = new SeededRandom(42);
+      let found = false;
+
+      for (let i = 0; i < 100 && !found; i++) {
+        let candidate = Difficulty.createCandidate(solved, level, random);
+        let same = Difficulty.createCandidate(solved, level, again);
+        if (candidate === null) {
+          // Too hard by the estimate already
+          assert.strictEqual(same, null);
+          continue;
+        }
+        assert.deepStrictEqual(same.getValues(), candidate.getValues());
+        assert.strictEqual(candidate.isSolvable(), true);
+        found = Difficulty.isInRange(level, 3, 3, solveSized(candidate, "astar", "walkingdistance").depth);
+      }
+      assert.ok(found, level);
+    }
+  });
+
+  test.it("aims the 4 * 4 walks at the range by the estimate", () => {
+    let solved = new Board(null, Array.from({ length: 16 }, (value, i) => i), "", 4, 4);
+    let random = new SeededRandom(7);
+    let heuristic = Board.getHeuristic("walkingdistance");
+    let range = Difficulty.getRange("hard", 4, 4);
+    let estimates = [];
+
+    for (let i = 0; i < 20; i++) {
+      let candidate = Difficulty.createCandidate(solved, "hard", random);
+      if (candidate !== null) {
+        estimates.push(heuristic.estimate(candidate));
+      }
+    }
+    assert.ok(estimates.length > 0);
+    assert.ok(estimates.every((estimate) => estimate <= range.max));
+    // Most are long enough, walks of a fixed length mostly fall short
+    assert.ok(estimates.filter((estimate) => estimate >= range.min * Difficulty.estimateRatio() - 1).length >
+      estimates.length / 2, "Estimates " + estimates);
+  });
+});
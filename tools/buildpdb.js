@@ -0,0 +1,37 @@
+'use strict';
+
+/*
+ * Builds the additive pattern databases of the given heuristic to
+ * pdb/<name>.bin, where the browser and the Node tools load them from.
+ *
+ * Usage: node tools/buildpdb.js pdb663|pdb78
+ *
+ * pdb663 takes about ten seconds and the file is under 6 MB. pdb78 takes
+ * about a quarter of an hour and 330 MB of memory, the file is 288 MB.
+ */
+const fs = require("fs");
+const path = require("path");
+const { Board, PatternDatabaseHeuristic } = require("../npuzzlecore.js");
+
+let name = process.argv[2];
+let heuristic = null;
+
+try {
+  heuristic = Board.getHeuristic(name);
+} catch (error) {
+  heuristic = null;
+}
+
+if (!(heuristic instanceof PatternDatabaseHeuristic)) {
+  console.error("Usage: node tools/buildpdb.js pdb663|pdb78");
+  process.exit(1);
+}
+
+let start = Date.now();
+heuristic.build();
+
+let file = path.join(__dirname, "..", heuristic.getFileName());
+fs.mkdirSync(path.dirname(file), { recursive: true });
+fs.writeFileSync(file, heuristic.getData());
+
+console.log("Wrote " + file + " in " + Math.round((Date.now() - start) / 1000) + " s");